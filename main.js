@@ -1,41 +1,84 @@
 import fs from "node:fs/promises";
 import path from "node:path";
 import process from "node:process";
-import { generateText } from "ai";
-import { openai } from "@ai-sdk/openai";
-import { getHighlighter, bundledThemes, bundledLanguages } from "shiki";
 import puppeteer from "puppeteer";
 import ffmpeg from "fluent-ffmpeg";
 import dotenv from "dotenv";
+import { parseArgs, toNumber } from "./src/args.js";
+import { verifySnippet } from "./src/sandbox.js";
+import { loadHistory, findNearDuplicate, recentTopics, recordSnippet } from "./src/history.js";
+import { createProvider } from "./src/providers.js";
+import { parseModelJson, DIFFICULTIES } from "./src/schema.js";
+import { checkSnippetQuality, loadQualityRules } from "./src/quality.js";
+import { loadTimeline, resolveTimeline, compileTimeline, parseVars } from "./src/timeline.js";
+import { loadFonts } from "./src/fonts.js";
+import { loadAudioLibrary, selectTrack, audioFilter, creditLine } from "./src/audio.js";
+import { loadState } from "./src/state.js";
+import { resolvePresets, contentBox } from "./src/presets.js";
+import { loadReelConfig, applyConfigFlags, REEL_CONFIG_DEFAULTS } from "./src/config.js";
+import { resolveSnippetLanguage } from "./src/languages.js";
+import { loadCalendar, calendarEntry, localDate } from "./src/calendar.js";
+import { quizErrors, buildQuiz } from "./src/quiz.js";
+import { highlight, escapeHtml, frameCss, frameHtml, fitCode, annotateLines, parseDiff, parseLineRanges, FONT_STACK } from "./src/render.js";
+import { loadBrollLibrary, selectSegment, generatedBackground, backgroundSource, GENERATED_STYLES, BROLL_DEFAULTS } from "./src/broll.js";
 dotenv.config();
 
+// Brand, text, theme, duration and folders come from the reel config
+// (src/config.js); these are the fixed layout and pipeline settings.
 const DEFAULTS = {
-  theme: "nord",
-  width: 1080,
-  height: 1920,
   padding: 80,
-  font: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace",
-  background: "radial-gradient(1200px circle at 10% 20%, #1f2937 0%, #0f172a 45%, #020617 100%)",
+  font: FONT_STACK,
+  headingFont: "system-ui, -apple-system, 'Segoe UI', Arial, sans-serif",
   scale: 2,
-  fontSize: 24,
-  videoDuration: 7,
-  bRollPath: "./bRoll.mov",
-  audioFolder: "./audio",
-  levelAppearTime: 2 // Level text appears at 2 seconds
+  fontSize: 24, // console output; the code size comes from `fit`
+  fit: {
+    minFontSize: 20,
+    maxFontSize: 44
+  },
+  codePadding: 40,
+  chromeHeight: 50,
+  dotSize: 14,
+  bRollPath: "./bRoll.mov", // legacy single clip, still used when present
+  statePath: "./.reel-state.json",
+  concurrency: 2,
+  maxGenerationAttempts: 5,
+  maxRepairAttempts: 2,
+  historyPath: "./snippet-history.jsonl",
+  sandboxTimeoutMs: 2000,
+  timelines: {
+    question: "./timelines/question.json",
+    typing: "./timelines/question-typing.json",
+    reveal: "./timelines/reveal.json"
+  },
+  typing: {
+    hold: 0.5, // finished snippet stays on its own this long before the level
+    cursorBlink: 0.5,
+    scale: 1 // frames are scaled to the output size anyway
+  },
+  carousel: {
+    name: "carousel",
+    width: 1080,
+    height: 1350,
+    safeZone: { top: 0, right: 0, bottom: 0, left: 0 },
+    scale: 1 // slides are posted at 1080x1350
+  }
 };
 
-const PROMPT = `You are helping me produce viral Instagram Reels for the brand @frontendfuture.
+// Default prompt template; reel.config.json can point `promptTemplate` at
+// another file. {{brand}} and {{captionCta}} are filled from the config,
+// {{language}} and {{printCall}} from the snippet language.
+const PROMPT = `You are helping me produce viral Instagram Reels for the brand {{brand}}.
 
 🎯 GOAL
 Generate 1 mini coding reel idea where:
-- shows a short JavaScript snippet
+- shows a short {{language}} snippet
 - asks "What is the output?"
 - creates curiosity and comments
 - DO NOT reveal the correct answer anywhere
 
 🧩 CODE SNIPPET REQUIREMENTS
-- Write a 3–5 line JavaScript snippet
-- Must include at least one console.log(...)
+- Write a 3–5 line {{language}} snippet
+- Must include at least one {{printCall}}
 - Must be curiosity-driven
 - Prefer interesting quirks:
   * arrays
@@ -50,8 +93,10 @@ Generate 1 mini coding reel idea where:
 Respond with ONLY valid JSON in this exact format (no markdown, no backticks):
 {
   "difficulty": "EASY" | "MEDIUM" | "HARD",
-  "code": "the JavaScript code snippet",
-  "caption": "What is the output? Drop your guess below.\\n\\nWant free remote income coding training? Comment FREE TRAINING below. You must be following @frontendfuture or we cannot send it."
+  "topic": "2-4 word label for the quirk, e.g. array sort coercion",
+  "code": "the {{language}} code snippet",
+  "highlight": "optional: the line(s) to emphasise, e.g. \"2\" or \"2-3\"; leave out if no single line is key",
+  "caption": "What is the output? Drop your guess below.\\n\\n{{captionCta}}"
 }
 
 IMPORTANT:
@@ -61,6 +106,17 @@ IMPORTANT:
 - No revealing the answer
 - Code should be clean and properly formatted`;
 
+const EXPLANATION_PROMPT = `You are writing the answer card for an Instagram Reel that asked "What is the output?" about this {{language}} snippet.
+
+CODE:
+{{code}}
+
+ACTUAL OUTPUT (verified by running it):
+{{output}}
+
+Explain in at most 2 short sentences (under 220 characters) why it prints exactly that.
+Plain text only: no markdown, no code blocks, no quotes around the answer.`;
+
 function getTimestampedFolder() {
   const now = new Date();
   const year = now.getFullYear();
@@ -73,84 +129,281 @@ function getTimestampedFolder() {
   return `output_${year}${month}${day}_${hours}${minutes}${seconds}`;
 }
 
-async function generateSnippetWithAI(index) {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error("Missing OPENAI_API_KEY");
-  }
+const DIFF_PROMPT = `
 
-  console.log(`Generating snippet ${index + 1}...`);
+🔀 DIFF MODE
+Show the snippet as a change: start every line of "code" with "+" (added), "-" (removed) or a space (unchanged). The question is about the code after the change.`;
 
-  const response = await generateText({
-    model: openai("gpt-4o"),
-    prompt: PROMPT,
-    maxTokens: 500,
-    temperature: 0.9
-  });
+const QUIZ_PROMPT = `
 
-  let cleanText = response.text.trim();
-  cleanText = cleanText.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-  
-  const snippet = JSON.parse(cleanText);
-  return snippet;
+🅰️ QUIZ MODE
+Add "options": an array of 3 or 4 candidate outputs for viewers to pick from. Exactly one must be the real output; the others must be plausible wrong answers. Write each option exactly as the program would print it, with "\\n" between printed lines. Keep each option under 60 characters.`;
+
+const CAROUSEL_PROMPT = `
+
+💡 CAROUSEL HINT
+Add "hint": one short sentence (under 140 characters) that points at the quirk without giving away the output.`;
+
+// The config's prompt template (or PROMPT) with the brand and the snippet
+// language filled in.
+async function loadPrompt(config, language) {
+  const template = config.promptTemplate ? await fs.readFile(config.promptTemplate, "utf8") : PROMPT;
+  const values = { brand: config.brand, captionCta: (config.captionCta || "").replaceAll("{{brand}}", () => config.brand) };
+  // Function replacers, so a "$" in the brand or CTA is not a replacement
+  // pattern. JSON-escaped, since the CTA lands inside the example JSON string.
+  return template
+    .replaceAll("{{brand}}", () => values.brand)
+    .replaceAll("{{captionCta}}", () => JSON.stringify(values.captionCta).slice(1, -1))
+    .replaceAll("{{language}}", () => language.label)
+    .replaceAll("{{printCall}}", () => language.printCall);
 }
 
-async function getVideoDuration(videoPath) {
-  return new Promise((resolve, reject) => {
-    ffmpeg.ffprobe(videoPath, (err, metadata) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve(metadata.format.duration);
-      }
-    });
-  });
+// The planned topic and difficulty (--topic / --difficulty or the content
+// calendar), when there are any.
+function targetPrompt(target) {
+  const lines = [];
+  if (target.topic) lines.push(`- Topic: ${target.topic}. The snippet must be about this; "topic" names the specific angle.`);
+  if (target.difficulty) lines.push(`- Difficulty: ${target.difficulty}. Set "difficulty" to exactly "${target.difficulty}".`);
+  if (lines.length === 0) return "";
+
+  return `
+
+📅 PLANNED CONTENT
+${lines.join("\n")}`;
 }
 
-async function getRandomAudioFile(audioFolder) {
-  console.log("\nSelecting random audio file...");
-  
+function buildPrompt(basePrompt, history, { annotations, target, quiz, carousel }) {
+  const prompt = `${basePrompt}${annotations.diff ? DIFF_PROMPT : ""}${quiz ? QUIZ_PROMPT : ""}${carousel ? CAROUSEL_PROMPT : ""}${targetPrompt(target)}`;
+  const topics = recentTopics(history);
+  if (topics.length === 0) return prompt;
+
+  return `${prompt}
+
+🚫 RECENTLY USED TOPICS (${target.topic ? "stay on the planned topic but pick a different angle" : "pick something clearly different"})
+${topics.map((topic) => `- ${topic}`).join("\n")}`;
+}
+
+function buildRepairPrompt(prompt, raw, errors) {
+  return `${prompt}
+
+⚠️ YOUR PREVIOUS RESPONSE WAS REJECTED
+${errors.map((error) => `- ${error}`).join("\n")}
+
+Previous response:
+${raw}
+
+Return the corrected JSON object only.`;
+}
+
+// Appends one JSON line per model call / rejection to the reel's folder.
+function createGenerationLog(logPath) {
+  return (entry) => fs.appendFile(logPath, `${JSON.stringify({ time: new Date().toISOString(), ...entry })}\n`);
+}
+
+// The box the code has to fit in on the reel, for the quality column check.
+// With several presets the narrowest code window wins, at the smallest size
+// fitCode may pick; anything wider would soft-wrap.
+function codeLayout(presets) {
+  return {
+    frameWidth: Math.min(...presets.map((preset) => contentBox(preset, DEFAULTS.padding).frameWidth)),
+    codePadding: DEFAULTS.codePadding,
+    fontSize: DEFAULTS.fit.minFontSize
+  };
+}
+
+// Emphasis for a snippet: --highlight wins over the line the model picked.
+function snippetAnnotations(snippet, annotations) {
+  return { ...annotations, highlight: annotations.highlight ?? snippet.highlight ?? null };
+}
+
+// The code as it appears on screen, without diff markers.
+function shownCode(code, annotations) {
+  return annotations.diff ? parseDiff(code).code : code;
+}
+
+// The code that actually runs: in diff mode, the version after the change.
+function runnableCode(code, annotations) {
+  return annotations.diff ? parseDiff(code).after : code;
+}
+
+// A bad "highlight" from the model goes back to it as is. A --highlight past
+// the end of the snippet can only be fixed with a longer snippet, so that is
+// what the model is asked for.
+function highlightErrors(snippet, annotations) {
   try {
-    const files = await fs.readdir(audioFolder);
-    
-    const audioFiles = files.filter(file => {
-      const ext = path.extname(file).toLowerCase();
-      return ['.mp3', '.wav', '.m4a', '.aac', '.ogg', '.flac'].includes(ext);
+    annotateLines(snippet.code, snippetAnnotations(snippet, annotations));
+    return [];
+  } catch (err) {
+    if (annotations.highlight === null) return [`"highlight": ${err.message}`];
+    const lastLine = Math.max(...parseLineRanges(annotations.highlight));
+    return [`"code" must have at least ${lastLine} lines, line ${lastLine} is highlighted`];
+  }
+}
+
+// Asks for a snippet and, while the response fails SNIPPET_SCHEMA or the
+// quality rules, re-asks with the reasons. Returns null when the repair budget
+// runs out.
+async function requestSnippet({ provider, history, log, qualityRules, presets, annotations, basePrompt, target, quiz, carousel }, attempt) {
+  const prompt = buildPrompt(basePrompt, history, { annotations, target, quiz, carousel });
+  let raw = null;
+  let errors = [];
+
+  for (let repair = 0; repair <= DEFAULTS.maxRepairAttempts; repair += 1) {
+    raw = await provider.generate({
+      prompt: repair === 0 ? prompt : buildRepairPrompt(prompt, raw, errors),
+      maxTokens: 500,
+      temperature: 0.9
     });
-    
-    if (audioFiles.length === 0) {
-      throw new Error(`No audio files found in ${audioFolder}`);
+
+    const parsed = parseModelJson(raw);
+    errors = parsed.errors;
+    await log({ attempt, repair, stage: "schema", status: errors.length === 0 ? "accepted" : "rejected", errors, raw });
+
+    if (parsed.value) {
+      errors = checkSnippetQuality(runnableCode(parsed.value.code, annotations), qualityRules, codeLayout(presets));
+      if (target.difficulty && parsed.value.difficulty !== target.difficulty) {
+        errors.push(`"difficulty" must be ${target.difficulty} as planned, got ${parsed.value.difficulty}`);
+      }
+      if (quiz) errors.push(...quizErrors(parsed.value.options));
+      if (carousel && !parsed.value.hint?.trim()) errors.push("\"hint\" is required for the carousel");
+      errors.push(...highlightErrors(parsed.value, annotations));
+      await log({ attempt, repair, stage: "quality", status: errors.length === 0 ? "accepted" : "rejected", errors });
+      if (errors.length === 0) return parsed.value;
     }
-    
-    const randomIndex = Math.floor(Math.random() * audioFiles.length);
-    const selectedAudio = audioFiles[randomIndex];
-    const audioPath = path.join(audioFolder, selectedAudio);
-    
-    console.log(`✓ Selected audio: ${selectedAudio}`);
-    
-    return audioPath;
-  } catch (err) {
-    throw new Error(`Failed to read audio folder: ${err.message}`);
+    console.log(`✗ Invalid response (${errors.join("; ")})${repair < DEFAULTS.maxRepairAttempts ? ", asking for a fix..." : ""}`);
   }
+
+  return null;
 }
 
-async function extractRandomVideoSegment(inputVideo, outputVideo, duration) {
-  console.log("\nExtracting random segment from b-roll video...");
-  
-  const totalDuration = await getVideoDuration(inputVideo);
-  const maxStartTime = Math.max(0, totalDuration - duration);
-  const startTime = Math.random() * maxStartTime;
-  
-  console.log(`B-roll duration: ${totalDuration.toFixed(2)}s`);
-  console.log(`Extracting ${duration}s from ${startTime.toFixed(2)}s`);
-  
+// Keeps asking the model until a snippet is new to the history and runs
+// cleanly and deterministically in the sandbox; the verified console output is
+// attached as `output` and the snippet is recorded in the history. In quiz
+// mode exactly one option must match that output; the shuffled, lettered
+// options are attached as `quiz`.
+async function generateSnippetWithAI(index, context) {
+  const { history, log, annotations, language, quiz } = context;
+
+  for (let attempt = 1; attempt <= DEFAULTS.maxGenerationAttempts; attempt += 1) {
+    console.log(`Generating snippet ${index + 1} (attempt ${attempt}/${DEFAULTS.maxGenerationAttempts})...`);
+
+    const snippet = await requestSnippet(context, attempt);
+    if (!snippet) continue;
+
+    let output;
+    try {
+      ({ output } = await verifySnippet(runnableCode(snippet.code, annotations), { timeoutMs: DEFAULTS.sandboxTimeoutMs, runner: language.runner }));
+      console.log(`✓ Snippet verified in sandbox`);
+    } catch (err) {
+      console.log(`✗ Rejected snippet: ${err.message}`);
+      await log({ attempt, stage: "sandbox", status: "rejected", errors: [err.message] });
+      continue;
+    }
+
+    let quizKey = null;
+    if (quiz) {
+      try {
+        quizKey = buildQuiz(snippet.options, output);
+      } catch (err) {
+        console.log(`✗ Rejected snippet: ${err.message}`);
+        await log({ attempt, stage: "quiz", status: "rejected", errors: [err.message] });
+        continue;
+      }
+    }
+
+    // Checked right before recording so parallel reels in a batch can't both
+    // claim the same idea.
+    const duplicate = findNearDuplicate(history, snippet.code);
+    if (duplicate) {
+      const seen = duplicate.entry.topic || duplicate.entry.createdAt;
+      const reason = `${Math.round(duplicate.score * 100)}% similar to an earlier one (${seen})`;
+      console.log(`✗ Rejected snippet: ${reason}`);
+      await log({ attempt, stage: "history", status: "rejected", errors: [reason] });
+      continue;
+    }
+
+    await recordSnippet(history, snippet);
+    await log({ attempt, stage: "final", status: "accepted", output, ...(quizKey ? { answer: quizKey.answer } : {}) });
+    return { ...snippet, output, quiz: quizKey };
+  }
+
+  throw new Error(`No verified snippet after ${DEFAULTS.maxGenerationAttempts} attempts`);
+}
+
+async function generateExplanation(snippet, { provider, log, language }) {
+  const prompt = EXPLANATION_PROMPT
+    .replace("{{language}}", () => language.label)
+    .replace("{{code}}", () => snippet.code)
+    .replace("{{output}}", () => snippet.output);
+
+  const raw = await provider.generate({ prompt, purpose: "explanation", code: snippet.code, maxTokens: 150, temperature: 0.3 });
+  const explanation = raw.trim().replace(/^["'`]+|["'`]+$/g, "");
+  await log({ stage: "explanation", status: explanation ? "accepted" : "rejected", raw });
+
+  if (!explanation) {
+    throw new Error("Model returned an empty explanation");
+  }
+  return explanation;
+}
+
+// Footage from the b-roll library when there is any left, otherwise (or
+// when forced with --generated-background) an ffmpeg-generated background.
+// One background serves every preset of the reel.
+async function chooseBackground(outputDir, duration, { browser, brollLibrary, state, brollTag, generatedStyle, presets, config }, prefix = "") {
+  let background = generatedStyle ? null : await selectSegment(brollLibrary, state, { duration, tag: brollTag });
+
+  if (!background) {
+    const style = GENERATED_STYLES.includes(generatedStyle)
+      ? generatedStyle
+      : GENERATED_STYLES[Math.floor(Math.random() * GENERATED_STYLES.length)];
+    const panImage = style === "pan"
+      ? await renderPanImage(browser, path.join(outputDir, `${prefix}background_pan.png`), presets, config.background)
+      : null;
+    background = generatedBackground(style, { panImage });
+  }
+
+  console.log(`✓ Background: ${background.label}`);
+  return background;
+}
+
+// The page background at panScale x the largest preset size, for the "pan"
+// style.
+async function renderPanImage(browser, outputPath, presets, css) {
+  const width = Math.round(Math.max(...presets.map((preset) => preset.width)) * BROLL_DEFAULTS.panScale);
+  const height = Math.round(Math.max(...presets.map((preset) => preset.height)) * BROLL_DEFAULTS.panScale);
+  const page = await browser.newPage();
+  try {
+    await page.setViewport({ width, height, deviceScaleFactor: 1 });
+    await page.setContent(`<!doctype html><html><body style="margin:0;width:${width}px;height:${height}px;background:${css};"></body></html>`);
+    await page.screenshot({ path: outputPath });
+  } finally {
+    await page.close();
+  }
+  return outputPath;
+}
+
+// Debug only (--debug-broll): writes the background on its own. Normal
+// renders read the background straight into renderTimelineVideo.
+async function extractBackgroundSegment(background, outputVideo, duration, { preset, css }) {
+  console.log(`\nWriting background segment: ${background.label}...`);
+
+  const source = backgroundSource(background, {
+    width: preset.width,
+    height: preset.height,
+    duration,
+    css
+  });
+
   return new Promise((resolve, reject) => {
-    ffmpeg(inputVideo)
-      .setStartTime(startTime)
-      .setDuration(duration)
+    ffmpeg()
+      .input(source.input)
+      .inputOptions(source.inputOptions)
       .outputOptions([
         '-c:v libx264',
         '-pix_fmt yuv420p',
-        '-vf scale=1080:1920:force_original_aspect_ratio=increase,crop=1080:1920',
+        `-vf ${source.filter}`,
+        `-t ${duration}`,
+        '-an',
         '-preset medium',
         '-crf 23'
       ])
@@ -164,60 +417,222 @@ async function extractRandomVideoSegment(inputVideo, outputVideo, duration) {
         }
       })
       .on('end', () => {
-        console.log(`\n✓ Video segment extracted: ${outputVideo}`);
+        console.log(`\n✓ Background segment ready: ${outputVideo}`);
         resolve();
       })
       .on('error', (err) => {
         console.error('\nFFmpeg error:', err.message);
-        reject(new Error('Failed to extract video segment.'));
+        reject(new Error('Failed to prepare background video.'));
       })
       .run();
   });
 }
 
-// Modified to remove difficulty level from the image
-async function renderSnippet(code, difficulty, outputPath, browser) {
-  const highlighter = await getHighlighter({ 
-    themes: ["nord"], 
-    langs: ["javascript"] 
-  });
-  
-  const codeHtml = highlighter.codeToHtml(code, { 
-    lang: "javascript", 
-    theme: "nord" 
-  });
+// Page fonts from the shared registry (src/fonts.js), so the page and the
+// ffmpeg overlays use the same files.
+function fontContent(fonts) {
+  return {
+    fontCss: fonts.css,
+    font: `"${fonts.roles.code.cssFamily}", ${DEFAULTS.font}`,
+    headingFont: `"${fonts.roles.heading.cssFamily}", ${DEFAULTS.headingFont}`
+  };
+}
 
+async function openReelPage(browser, content, { preset, scale = DEFAULTS.scale }) {
   const page = await browser.newPage();
   await page.setViewport({
-    width: DEFAULTS.width,
-    height: DEFAULTS.height,
-    deviceScaleFactor: DEFAULTS.scale
+    width: preset.width,
+    height: preset.height,
+    deviceScaleFactor: scale
   });
 
   const html = buildHtml({
-    codeHtml,
-    width: DEFAULTS.width,
-    height: DEFAULTS.height,
+    width: preset.width,
+    height: preset.height,
     padding: DEFAULTS.padding,
-    background: DEFAULTS.background,
+    safeZone: preset.safeZone,
+    maxFrameWidth: preset.maxFrameWidth,
     font: DEFAULTS.font,
-    fontSize: DEFAULTS.fontSize
+    fontSize: DEFAULTS.fontSize,
+    codePadding: DEFAULTS.codePadding,
+    ...content
   });
 
   await page.setContent(html, { waitUntil: "load" });
-  
-  await page.screenshot({ 
-    path: outputPath, 
-    fullPage: false,
-    omitBackground: true 
+  // Largest code size that keeps every layer inside the safe area.
+  const { margin } = contentBox(preset, DEFAULTS.padding);
+  const fit = await fitCode(page, {
+    ...DEFAULTS.fit,
+    bounds: { top: margin.top, bottom: preset.height - margin.bottom }
   });
+  return { page, fit };
+}
+
+// Hides every `data-layer` element except `name` (layout is untouched).
+async function showOnlyLayer(page, name) {
+  await page.evaluate((layer) => {
+    document.querySelectorAll("[data-layer]").forEach((el) => {
+      el.style.visibility = el.dataset.layer === layer ? "visible" : "hidden";
+    });
+  }, name);
+}
+
+// Screenshots the whole page as a preview plus each requested `data-layer`
+// element on its own, and measures every layer's box so timelines can place
+// text relative to it. Returns { sources, anchors } for compileTimeline.
+async function renderReelLayers(browser, content, { layers, layerPath, previewPath = null, preset }) {
+  const { page, fit } = await openReelPage(browser, content, { preset });
+  if (fit) {
+    console.log(`  ✓ Code set at ${fit.fontSize}px${fit.wrapped ? ` (${fit.wrapped} long line(s) wrapped)` : ""}`);
+  }
+
+  if (previewPath) {
+    await page.screenshot({ path: previewPath, fullPage: false, omitBackground: true });
+    console.log(`  ✓ Rendered: ${previewPath}`);
+  }
+
+  const anchors = await page.evaluate(() => Object.fromEntries(
+    [...document.querySelectorAll("[data-layer]")].map((el) => {
+      const rect = el.getBoundingClientRect();
+      return [el.dataset.layer, {
+        top: rect.top,
+        bottom: rect.bottom,
+        left: rect.left,
+        right: rect.right,
+        centerX: rect.left + rect.width / 2,
+        centerY: rect.top + rect.height / 2
+      }];
+    })
+  ));
+
+  const sources = {};
+  for (const name of layers) {
+    if (!anchors[name]) {
+      await page.close();
+      throw new Error(`Reel page has no "${name}" layer`);
+    }
+    sources[name] = layerPath(name);
+    await showOnlyLayer(page, name);
+    await page.screenshot({ path: sources[name], fullPage: false, omitBackground: true });
+    console.log(`  ✓ Rendered: ${sources[name]}`);
+  }
+
   await page.close();
+  return { sources, anchors };
+}
+
+// Visible character count for every frame of the typing window. Line mode
+// jumps to whole line ends, char mode advances evenly.
+function typingSchedule(code, typing) {
+  const frameCount = Math.max(1, Math.round((typing.end - typing.start) * typing.fps));
+  const lines = code.replace(/\n+$/, "").split("\n");
+  const total = lines.reduce((sum, line) => sum + line.length, 0);
+  const lineEnds = lines.map((_, i) => lines.slice(0, i + 1).reduce((sum, line) => sum + line.length, 0));
+
+  return Array.from({ length: frameCount }, (_, frame) => {
+    const progress = (frame + 1) / frameCount;
+    if (typing.mode === "line") {
+      return lineEnds[Math.min(lines.length - 1, Math.ceil(progress * lines.length) - 1)];
+    }
+    return Math.round(total * progress);
+  });
+}
+
+// Renders the code layer once per typing step for a timeline "sequence" layer
+// ({ mode, fps, start, end }). Untyped text is cut from the highlighted code
+// but the newlines stay, so the frame keeps its final size while typing.
+async function renderTypingFrames(code, content, framesDir, browser, typing, preset) {
+  if (!["line", "char"].includes(typing.mode)) {
+    throw new Error(`Unknown typing mode "${typing.mode}". Use "line" or "char".`);
+  }
+
+  const { page } = await openReelPage(browser, content, { preset, scale: DEFAULTS.typing.scale });
+  await page.addStyleTag({
+    content: `.typing-cursor {
+      display: inline-block;
+      width: 0.6em;
+      height: 1.25em;
+      margin-left: 1px;
+      vertical-align: text-bottom;
+      background: #e2e8f0;
+    }`
+  });
+  await showOnlyLayer(page, "code");
+
+  await fs.mkdir(framesDir, { recursive: true });
+  const schedule = typingSchedule(code, typing);
+  let previous = -1;
 
-  console.log(`  ✓ Rendered: ${outputPath}`);
+  for (let frame = 0; frame < schedule.length; frame += 1) {
+    const visible = schedule[frame];
+    // Solid while characters are landing, blinking while idle.
+    const idle = visible === previous;
+    const cursorOn = !idle || Math.floor(frame / (DEFAULTS.typing.cursorBlink * typing.fps)) % 2 === 0;
+    previous = visible;
+
+    await page.evaluate((count, showCursor) => {
+      const lines = [...document.querySelectorAll(".code .line")];
+      if (!window.__typingNodes) {
+        window.__typingNodes = lines.flatMap((line) => {
+          const walker = document.createTreeWalker(line, NodeFilter.SHOW_TEXT);
+          const nodes = [];
+          while (walker.nextNode()) nodes.push({ node: walker.currentNode, text: walker.currentNode.textContent });
+          return nodes;
+        });
+      }
+
+      document.querySelectorAll(".typing-cursor").forEach((el) => el.remove());
+      let remaining = count;
+      let last = null;
+      for (const item of window.__typingNodes) {
+        const take = Math.max(0, Math.min(item.text.length, remaining));
+        item.node.textContent = item.text.slice(0, take);
+        remaining -= take;
+        if (take > 0) last = item.node;
+      }
+
+      if (showCursor) {
+        const cursor = document.createElement("span");
+        cursor.className = "typing-cursor";
+        if (last) last.parentNode.insertBefore(cursor, last.nextSibling);
+        else if (lines[0]) lines[0].prepend(cursor);
+      }
+    }, visible, cursorOn);
+
+    await page.screenshot({
+      path: path.join(framesDir, `frame_${String(frame).padStart(4, '0')}.png`),
+      fullPage: false,
+      omitBackground: true
+    });
+  }
+
+  await page.close();
+  console.log(`  ✓ Rendered ${schedule.length} typing frames: ${framesDir}`);
+  return { pattern: path.join(framesDir, "frame_%04d.png"), fps: typing.fps };
 }
 
 // Modified to remove difficulty level
-function buildHtml({ codeHtml, width, height, padding, background, font, fontSize }) {
+// Content stays inside `safeZone` (the preset's platform UI margins).
+function buildHtml({
+  codeHtml = null, // null leaves out the code frame
+  width,
+  height,
+  padding,
+  safeZone = { top: 0, right: 0, bottom: 0, left: 0 },
+  maxFrameWidth,
+  font,
+  fontSize,
+  codePadding,
+  fontCss = "",
+  background = "transparent", // the reel pages sit over the b-roll
+  headingFont = DEFAULTS.headingFont,
+  headerText = REEL_CONFIG_DEFAULTS.headerText,
+  outputText = null,
+  explanation = null,
+  options = null, // quiz cards: [{ letter, text }]
+  answer = null // quiz letter shown on the reveal's console panel
+}) {
+  const { margin, frameWidth } = contentBox({ width, safeZone, maxFrameWidth }, padding);
   return `<!doctype html>
 <html lang="en">
 <head>
@@ -225,13 +640,7 @@ function buildHtml({ codeHtml, width, height, padding, background, font, fontSiz
   <meta name="viewport" content="width=device-width, initial-scale=1" />
   <title>snippet</title>
   <style>
-    :root {
-      --frame-radius: 16px;
-      --frame-bg: #0b1120;
-      --chrome-bg: linear-gradient(90deg, #0f172a 0%, #111827 100%);
-      --chrome-border: rgba(148, 163, 184, 0.16);
-      --shadow: 0 30px 60px rgba(2, 6, 23, 0.6);
-    }
+    ${fontCss}
     * { box-sizing: border-box; }
     body {
       margin: 0;
@@ -242,9 +651,9 @@ function buildHtml({ codeHtml, width, height, padding, background, font, fontSiz
       justify-content: center;
       flex-direction: column;
       gap: 60px;
-      background: transparent;
+      background: ${background};
       font-family: ${font};
-      padding: ${padding}px;
+      padding: ${margin.top}px ${margin.right}px ${margin.bottom}px ${margin.left}px;
     }
     .header {
       text-align: center;
@@ -252,6 +661,7 @@ function buildHtml({ codeHtml, width, height, padding, background, font, fontSiz
       padding: 30px 60px;
     }
     .header h1 {
+      font-family: ${headingFont};
       font-size: 72px;
       font-weight: 700;
       margin: 0;
@@ -263,113 +673,153 @@ function buildHtml({ codeHtml, width, height, padding, background, font, fontSiz
         2px 2px 0 #000,
         0 0 20px rgba(0, 0, 0, 0.5);
     }
+    ${frameCss({ width: frameWidth, font, fontSize, codePadding, chromeHeight: DEFAULTS.chromeHeight, dotSize: DEFAULTS.dotSize })}
     .frame {
       margin-top: 50px;
-      width: ${width - padding * 2}px;
-      background: var(--frame-bg);
+      backdrop-filter: blur(10px);
+    }
+    .console {
+      width: ${frameWidth}px;
+      background: #020617;
       border-radius: var(--frame-radius);
+      border: 1px solid rgba(74, 222, 128, 0.35);
       box-shadow: var(--shadow);
       overflow: hidden;
-      border: 1px solid rgba(148, 163, 184, 0.18);
-      backdrop-filter: blur(10px);
     }
-    .chrome {
-      height: 50px;
-      display: flex;
-      align-items: center;
-      padding: 0 20px;
-      gap: 16px;
-      background: var(--chrome-bg);
-      border-bottom: 1px solid var(--chrome-border);
-      color: #cbd5f5;
-      font-size: 14px;
-      letter-spacing: 0.06em;
+    .console .label {
+      padding: 14px ${codePadding}px;
+      color: #94a3b8;
+      font-size: 18px;
+      letter-spacing: 0.08em;
       text-transform: uppercase;
+      border-bottom: 1px solid rgba(148, 163, 184, 0.16);
     }
-    .dots { display: flex; gap: 10px; }
-    .dot { width: 14px; height: 14px; border-radius: 999px; }
-    .dot.red { background: #f87171; }
-    .dot.yellow { background: #facc15; }
-    .dot.green { background: #4ade80; }
-    .code {
-      padding: 40px;
+    .console pre {
+      margin: 0;
+      padding: ${codePadding / 2}px ${codePadding}px;
+      color: #4ade80;
       font-size: ${fontSize}px;
       line-height: 1.6;
-      color: #e2e8f0;
+      font-family: inherit;
+      white-space: pre-wrap;
+    }
+    .options {
+      width: ${frameWidth}px;
+      display: grid;
+      grid-template-columns: 1fr 1fr;
+      gap: 24px;
     }
-    .code pre,
-    .code code {
+    .option {
+      display: flex;
+      align-items: center;
+      gap: 20px;
+      padding: 22px 26px;
+      border-radius: var(--frame-radius);
+      background: rgba(15, 23, 42, 0.88);
+      border: 1px solid rgba(148, 163, 184, 0.25);
+      box-shadow: var(--shadow);
+    }
+    .option .letter {
+      flex: none;
+      width: 56px;
+      height: 56px;
+      display: grid;
+      place-items: center;
+      border-radius: 999px;
+      background: #4f46e5;
+      color: white;
+      font-family: ${headingFont};
+      font-size: 30px;
+      font-weight: 700;
+    }
+    .option pre {
       margin: 0;
-      white-space: pre;
+      color: #e2e8f0;
       font-family: inherit;
+      font-size: 28px;
+      line-height: 1.3;
+      white-space: pre-wrap;
+      overflow-wrap: anywhere;
     }
-    .code pre.shiki {
-      background: transparent !important;
-      padding: 0 !important;
+    .explanation {
+      width: ${frameWidth}px;
+      padding: 28px 36px;
+      border-radius: var(--frame-radius);
+      background: rgba(15, 23, 42, 0.85);
+      color: #e2e8f0;
+      font-size: 30px;
+      line-height: 1.45;
+      font-family: ${headingFont};
     }
   </style>
 </head>
 <body>
-  <div class="header">
-    <h1>What Is The Output?</h1>
-  </div>
-  <div class="frame">
-    <div class="chrome">
-      <div class="dots">
-        <span class="dot red"></span>
-        <span class="dot yellow"></span>
-        <span class="dot green"></span>
-      </div>
-    </div>
-    <div class="code">
-      ${codeHtml}
-    </div>
+  <div class="header" data-layer="header">
+    <h1>${escapeHtml(headerText)}</h1>
   </div>
+  ${codeHtml === null ? "" : frameHtml(codeHtml, { layer: "code" })}${options === null ? "" : `
+  <div class="options" data-layer="options">
+    ${options.map((option) => `<div class="option"><span class="letter">${option.letter}</span><pre>${escapeHtml(option.text)}</pre></div>`).join("\n    ")}
+  </div>`}${outputText === null ? "" : `
+  <div class="console" data-layer="output">
+    <div class="label">&gt; console output${answer ? ` · answer ${escapeHtml(answer)}` : ""}</div>
+    <pre>${escapeHtml(outputText)}</pre>
+  </div>`}${explanation === null ? "" : `
+  <div class="explanation" data-layer="explanation">${escapeHtml(explanation)}</div>`}
 </body>
 </html>`;
 }
 
-// New function to add level text with FFmpeg
-async function overlayCodeOnVideoWithAudio(backgroundVideo, overlayImage, audioPath, outputVideo, duration, difficulty) {
-  console.log("\nOverlaying code snippet on background video and adding audio...");
-  
-  const levelY = 840; // Position between "What Is The Output?" and the code frame
-  
+// Seeks and scales the background, draws a resolved timeline over it and
+// adds the audio in a single ffmpeg run.
+async function renderTimelineVideo({ background, backgroundCss, audio, outputVideo, timeline, sources, anchors, fonts, values, workDir, preset }) {
+  console.log(`\nRendering timeline ${timeline.name} over ${background.label} with audio...`);
+
+  const duration = timeline.duration;
+  const backgroundInput = backgroundSource(background, {
+    width: preset.width,
+    height: preset.height,
+    duration,
+    css: backgroundCss
+  });
+  const graph = compileTimeline(timeline, {
+    sources,
+    anchors,
+    fonts: fonts.files,
+    values,
+    textDir: workDir,
+    width: preset.width,
+    height: preset.height,
+    baseLabel: "background"
+  });
+  await Promise.all(graph.textFiles.map((file) => fs.writeFile(file.path, file.content)));
+
+  const command = ffmpeg().input(backgroundInput.input).inputOptions(backgroundInput.inputOptions);
+  for (const input of graph.inputs) {
+    command.input(input.path).inputOptions(input.options);
+  }
+  command.input(audio.path).inputOptions([`-ss ${audio.startOffset}`]);
+  const audioInput = graph.inputs.length + 1;
+
   return new Promise((resolve, reject) => {
-    ffmpeg()
-      .input(backgroundVideo)
-      .input(overlayImage)
-      .input(audioPath)
+    command
       .complexFilter([
-        // Scale and position the overlay image
-        '[1:v]scale=1080:1920[overlay]',
-        '[0:v][overlay]overlay=0:0[video_base]',
-        // Add level text that appears at 2 seconds
-        `[video_base]drawtext=` +
-        `text='LEVEL\\: ${difficulty}':` +
-        `fontfile=/System/Library/Fonts/Supplemental/Arial\\ Bold.ttf:` +
-        `fontsize=42:` +
-        `fontcolor=#818cf8:` +
-        `borderw=2:` +
-        `bordercolor=black:` +
-        `x=(w-text_w)/2:` +
-        `y=${levelY}:` +
-        `enable='gte(t,${DEFAULTS.levelAppearTime})':` +
-        `alpha='if(lt(t,${DEFAULTS.levelAppearTime}),0,if(lt(t,${DEFAULTS.levelAppearTime + 0.3}),(t-${DEFAULTS.levelAppearTime})/0.3,1))'` +
-        `[video]`,
-        // Trim audio to match video duration
-        `[2:a]atrim=0:${duration},asetpts=PTS-STARTPTS[audio]`
+        `[0:v]${backgroundInput.filter}[background]`,
+        ...graph.filters,
+        audioFilter(`${audioInput}:a`, "audio", duration)
       ])
       .outputOptions([
-        '-map [video]',
+        `-map [${graph.output}]`,
         '-map [audio]',
         '-c:v libx264',
         '-c:a aac',
-        '-b:a 192k',
+        `-b:a ${preset.audioBitrate}k`,
         `-t ${duration}`,
         '-pix_fmt yuv420p',
         '-preset medium',
         '-crf 23',
+        `-maxrate ${preset.videoBitrate}k`,
+        `-bufsize ${preset.videoBitrate * 2}k`,
         '-shortest'
       ])
       .output(outputVideo)
@@ -382,80 +832,598 @@ async function overlayCodeOnVideoWithAudio(backgroundVideo, overlayImage, audioP
         }
       })
       .on('end', () => {
-        console.log(`\n✓ Final video with audio and level text created: ${outputVideo}`);
+        console.log(`\n✓ Video created: ${outputVideo}`);
         resolve();
       })
       .on('error', (err) => {
         console.error('\nFFmpeg error:', err.message);
-        reject(new Error('Failed to overlay code on video with audio.'));
+        reject(new Error(`Failed to render timeline ${timeline.name}.`));
       })
       .run();
   });
 }
 
-async function main() {
-  const outputDir = `./${getTimestampedFolder()}`;
+// Page layers the timeline's image layers draw from.
+function imageSources(timeline) {
+  return [...new Set(timeline.layers.filter((layer) => layer.type === "image").map((layer) => layer.source))];
+}
+
+// Renders every source a timeline needs: page layers, plus typing frames for a
+// "typing" sequence layer.
+async function renderTimelineSources(timeline, content, code, outputDir, browser, { prefix = "", previewPath = null, preset }) {
+  const { sources, anchors } = await renderReelLayers(browser, content, {
+    layers: imageSources(timeline),
+    layerPath: (name) => path.join(outputDir, `${prefix}${name}.png`),
+    previewPath,
+    preset
+  });
+
+  const typingLayer = timeline.layers.find((layer) => layer.type === "sequence" && layer.source === "typing");
+  if (typingLayer) {
+    sources.typing = await renderTypingFrames(code, content, path.join(outputDir, `${prefix}typing`), browser, typingLayer, preset);
+  }
+
+  return { sources, anchors };
+}
+
+// Runs `task` and adds its wall time in seconds to `timings[stage]`.
+async function timeStage(timings, stage, task) {
+  const started = performance.now();
+  try {
+    return await task();
+  } finally {
+    timings[stage] = Number(((timings[stage] || 0) + (performance.now() - started) / 1000).toFixed(2));
+  }
+}
+
+function formatTimings(timings) {
+  return Object.entries(timings).map(([stage, seconds]) => `${stage} ${seconds}s`).join(" · ");
+}
+
+// Companion "answer" reel: same code and layout, then the verified output in
+// a console panel, then the model's explanation.
+async function produceRevealReel(snippet, explanation, background, outputDir, audio, context) {
+  const { browser, timelines, fonts, debugBroll, timings, preset, stage, config } = context;
+  const bRollSegmentPath = path.join(outputDir, "reveal_broll_segment.mp4");
+  const videoPath = path.join(outputDir, "reveal.mp4");
+  const timeline = resolveTimeline(timelines.reveal, {}, config.duration);
+
+  console.log(`\nProducing answer reveal reel (${preset.name})...`);
+
+  const { sources, anchors } = await timeStage(timings, stage("reveal layers"), async () => {
+    const content = {
+      ...fontContent(fonts),
+      codeHtml: await highlight(snippet.code, { theme: config.theme, lang: context.language.shiki, annotations: snippetAnnotations(snippet, context.annotations) }),
+      headerText: config.revealHeaderText,
+      answer: snippet.quiz?.answer ?? null,
+      outputText: snippet.output,
+      explanation
+    };
+    return renderTimelineSources(timeline, content, shownCode(snippet.code, context.annotations), outputDir, browser, { prefix: "reveal_", preset });
+  });
+
+  if (debugBroll) {
+    await timeStage(timings, stage("reveal background"), () => extractBackgroundSegment(background, bRollSegmentPath, timeline.duration, { preset, css: config.background }));
+  }
+
+  await timeStage(timings, stage("reveal encode"), () => renderTimelineVideo({
+    background,
+    backgroundCss: config.background,
+    audio,
+    outputVideo: videoPath,
+    timeline,
+    sources,
+    anchors,
+    fonts,
+    values: { difficulty: snippet.difficulty, topic: snippet.topic || "" },
+    workDir: outputDir,
+    preset
+  }));
+
+  return videoPath;
+}
+
+// Renders the question reel, and the reveal reel when there is an
+// explanation, for one preset into `outputDir`.
+async function renderPresetReels(snippet, explanation, backgrounds, outputDir, audio, context) {
+  const { browser, timelines, timelineVars, fonts, debugBroll, timings, preset, stage, config } = context;
   const imagePath = path.join(outputDir, "snippet.png");
   const bRollSegmentPath = path.join(outputDir, "broll_segment.mp4");
   const videoPath = path.join(outputDir, "reel.mp4");
+  const timeline = resolveTimeline(timelines.question, timelineVars, config.duration);
+
+  const { sources, anchors } = await timeStage(timings, stage("layers"), async () => {
+    const content = {
+      ...fontContent(fonts),
+      codeHtml: await highlight(snippet.code, { theme: config.theme, lang: context.language.shiki, annotations: snippetAnnotations(snippet, context.annotations) }),
+      headerText: config.headerText,
+      options: snippet.quiz?.options ?? null
+    };
+    return renderTimelineSources(timeline, content, shownCode(snippet.code, context.annotations), outputDir, browser, { previewPath: imagePath, preset });
+  });
+
+  if (debugBroll) {
+    await timeStage(timings, stage("background"), () => extractBackgroundSegment(backgrounds.question, bRollSegmentPath, timeline.duration, { preset, css: config.background }));
+  }
+
+  await timeStage(timings, stage("encode"), () => renderTimelineVideo({
+    background: backgrounds.question,
+    backgroundCss: config.background,
+    audio,
+    outputVideo: videoPath,
+    timeline,
+    sources,
+    anchors,
+    fonts,
+    values: { difficulty: snippet.difficulty, topic: snippet.topic || "" },
+    workDir: outputDir,
+    preset
+  }));
+
+  const revealVideo = explanation === null
+    ? null
+    : await produceRevealReel(snippet, explanation, backgrounds.reveal, outputDir, audio, context);
+
+  return {
+    folder: outputDir,
+    video: videoPath,
+    revealVideo,
+    image: imagePath,
+    bRollSegment: debugBroll ? bRollSegmentPath : null
+  };
+}
+
+// Instagram carousel from the same snippet: question, hint, answer and CTA
+// slides as numbered 1080x1350 PNGs, drawn on the page background instead of
+// the b-roll.
+async function renderCarousel(snippet, explanation, outputDir, context) {
+  const { browser, fonts, config, language, annotations } = context;
+  const codeHtml = await highlight(snippet.code, { theme: config.theme, lang: language.shiki, annotations: snippetAnnotations(snippet, annotations) });
+  const slides = [
+    { name: "question", content: { codeHtml, headerText: config.headerText, options: snippet.quiz?.options ?? null } },
+    { name: "hint", content: { codeHtml, headerText: config.hintHeaderText, explanation: snippet.hint } },
+    { name: "answer", content: { codeHtml, headerText: config.revealHeaderText, outputText: snippet.output, answer: snippet.quiz?.answer ?? null, explanation } },
+    { name: "cta", content: { headerText: config.ctaHeaderText, explanation: config.ctaText.replaceAll("{{brand}}", () => config.brand) } }
+  ];
+
+  const files = [];
+  for (const [i, slide] of slides.entries()) {
+    const file = path.join(outputDir, `carousel_${String(i + 1).padStart(2, "0")}_${slide.name}.png`);
+    const content = { ...fontContent(fonts), background: config.background, ...slide.content };
+    const { page } = await openReelPage(browser, content, { preset: DEFAULTS.carousel, scale: DEFAULTS.carousel.scale });
+    try {
+      await page.screenshot({ path: file });
+    } finally {
+      await page.close();
+    }
+    console.log(`✓ Carousel slide ${i + 1}: ${file}`);
+    files.push(file);
+  }
+  return files;
+}
+
+async function produceReel(index, outputDir, context) {
+  const { provider, history, qualityRules, reveal, timelines, timelineVars, audioLibrary, state, mood, presets, annotations, basePrompt, target, language, quiz, carousel, config } = context;
   const captionPath = path.join(outputDir, "caption.txt");
+  const answerPath = path.join(outputDir, "answer.txt");
+  const answerKeyPath = path.join(outputDir, "answer-key.json");
+  const generationLogPath = path.join(outputDir, "generation-log.jsonl");
+  const questionDuration = resolveTimeline(timelines.question, timelineVars, config.duration).duration;
+  const revealDuration = resolveTimeline(timelines.reveal, {}, config.duration).duration;
 
   await fs.mkdir(outputDir, { recursive: true });
-  console.log(`\n📁 Output directory: ${outputDir}\n`);
+  console.log(`\n📁 Reel ${index + 1} directory: ${outputDir}\n`);
+
+  const timings = {};
+  const log = createGenerationLog(generationLogPath);
+  const snippet = await timeStage(timings, "snippet", () => generateSnippetWithAI(index, { provider, history, log, qualityRules, presets, annotations, basePrompt, target, language, quiz, carousel }));
+  // The carousel's answer slide needs the explanation even without a reveal reel.
+  const explanation = reveal || carousel
+    ? await timeStage(timings, "explanation", () => generateExplanation(snippet, { provider, log, language }))
+    : null;
 
-  const duration = DEFAULTS.videoDuration;
+  const backgrounds = await timeStage(timings, "background", async () => ({
+    question: await chooseBackground(outputDir, questionDuration, context),
+    reveal: reveal ? await chooseBackground(outputDir, revealDuration, context, "reveal_") : null
+  }));
+
+  console.log("\nSelecting audio track...");
+  const audio = await selectTrack(audioLibrary, state, { mood });
+  console.log(`✓ Selected audio: ${audio.file} (from ${audio.startOffset}s${audio.mood ? `, ${audio.mood}` : ""})`);
+
+  // A single preset writes straight into the reel folder, several get one
+  // sub-folder each.
+  const outputs = {};
+  for (const preset of presets) {
+    const presetDir = presets.length > 1 ? path.join(outputDir, preset.name) : outputDir;
+    await fs.mkdir(presetDir, { recursive: true });
+    outputs[preset.name] = await renderPresetReels(snippet, reveal ? explanation : null, backgrounds, presetDir, audio, {
+      ...context,
+      preset,
+      timings,
+      stage: (name) => presets.length > 1 ? `${preset.name} ${name}` : name
+    });
+  }
+  const carouselSlides = carousel
+    ? await timeStage(timings, "carousel", () => renderCarousel(snippet, explanation, outputDir, context))
+    : [];
+  console.log(`\n⏱  Reel ${index + 1}: ${formatTimings(timings)}`);
+
+  const primary = outputs[presets[0].name];
+  let captionContent = 
+    `==================== REEL ====================\n` +
+    `DIFFICULTY: ${snippet.difficulty}\n` +
+    `TOPIC: ${snippet.topic || "-"}\n` +
+    `LANGUAGE: ${language.label}\n\n` +
+    `CODE:\n${snippet.code}\n\n` +
+    (snippet.quiz
+      ? `OPTIONS:\n${snippet.quiz.options.map((option) => `${option.letter}) ${option.text.replaceAll("\n", " / ")}`).join("\n")}\n` +
+        `ANSWER: ${snippet.quiz.answer}\n\n`
+      : "") +
+    `CAPTION:\n${snippet.caption}\n\n` +
+    `PRESETS: ${presets.map((preset) => preset.name).join(", ")}\n` +
+    `BACKGROUND: ${backgrounds.question.label}\n` +
+    `AUDIO: ${audio.file}\n` +
+    `CREDIT: ${creditLine(audio)}\n`;
+
+  if (primary.revealVideo) {
+    captionContent +=
+      `\n=================== REVEAL ===================\n` +
+      `VIDEO: ${path.relative(outputDir, primary.revealVideo)}\n\n` +
+      `EXPLANATION:\n${explanation}\n`;
+  }
+
+  if (carouselSlides.length > 0) {
+    captionContent +=
+      `\n================== CAROUSEL ==================\n` +
+      `${carouselSlides.map((file, i) => `${i + 1}. ${path.relative(outputDir, file)}`).join("\n")}\n\n` +
+      `HINT:\n${snippet.hint}\n` +
+      (primary.revealVideo ? "" : `\nEXPLANATION:\n${explanation}\n`);
+  }
+  
+  await fs.writeFile(captionPath, captionContent);
+  console.log(`✓ Caption saved: ${captionPath}`);
+
+  await fs.writeFile(answerPath, `${snippet.output}\n`);
+  console.log(`✓ Verified output saved: ${answerPath}`);
+
+  if (snippet.quiz) {
+    await fs.writeFile(answerKeyPath, JSON.stringify({ answer: snippet.quiz.answer, output: snippet.output, options: snippet.quiz.options }, null, 2));
+    console.log(`✓ Answer key saved: ${answerKeyPath} (${snippet.quiz.answer})`);
+  }
+
+  return {
+    folder: outputDir,
+    video: primary.video,
+    revealVideo: primary.revealVideo,
+    caption: captionPath,
+    answer: answerPath,
+    answerKey: snippet.quiz ? answerKeyPath : null,
+    carousel: carouselSlides,
+    image: primary.image,
+    bRollSegment: primary.bRollSegment,
+    presets: outputs,
+    generationLog: generationLogPath,
+    background: backgrounds.question.label,
+    audio: audio.file,
+    difficulty: snippet.difficulty,
+    timings
+  };
+}
+
+// Runs `task` for every item with at most `limit` in flight at once.
+async function runWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function lane() {
+    while (next < items.length) {
+      const current = next;
+      next += 1;
+      results[current] = await task(items[current], current);
+    }
+  }
+
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, () => lane());
+  await Promise.all(lanes);
+  return results;
+}
+
+// Timeline variables from the typing flags; the level badge waits until the
+// typed snippet has been held on screen.
+function typingVars(opts) {
+  const mode = opts.typing === true ? "line" : opts.typing;
+  if (!["line", "char"].includes(mode)) {
+    throw new Error(`Unknown --typing mode "${mode}". Use "line" or "char".`);
+  }
+
+  const vars = { typingMode: mode };
+  if (opts["typing-start"] !== undefined) vars.typingStart = toNumber(opts["typing-start"], 0);
+  if (opts["typing-end"] !== undefined) {
+    vars.typingEnd = toNumber(opts["typing-end"], 0);
+    vars.levelTime = vars.typingEnd + DEFAULTS.typing.hold;
+  }
+  return vars;
+}
+
+// Timeline variables for the countdown and the "Comment your answer!" end
+// card; the countdown stops where the end card starts. Both default to the
+// end of the reel, so they follow the config duration.
+function countdownVars(opts, timeline, duration) {
+  const total = timeline.duration ?? duration;
+  const endCardStart = timeline.vars?.endCardStart ?? total - 1;
+  const vars = {
+    countdownEnd: timeline.vars?.countdownEnd ?? total,
+    endCardStart
+  };
+  if (opts.countdown) {
+    const style = opts.countdown === true ? "number" : opts.countdown;
+    if (!["number", "bar"].includes(style)) {
+      throw new Error(`Unknown --countdown style "${style}". Use "number" or "bar".`);
+    }
+    vars.showCountdownNumber = style === "number";
+    vars.showCountdownBar = style === "bar";
+  }
+  if (opts["end-card"]) {
+    vars.showEndCard = true;
+    vars.countdownEnd = endCardStart;
+    if (typeof opts["end-card"] === "string") vars.endCardText = opts["end-card"];
+  }
+  return vars;
+}
+
+// Topic, difficulty and language for this run: flags first, then the content
+// calendar's entry for --date (default today), then the config.
+async function snippetTarget(opts, config) {
+  const date = typeof opts.date === "string" ? opts.date : localDate();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new Error(`--date must be YYYY-MM-DD, got "${date}"`);
+  }
+  const calendar = config.calendar ? await loadCalendar(config.calendar) : null;
+  const planned = calendar ? calendarEntry(calendar, date) : null;
+  if (calendar) {
+    console.log(`📅 Calendar ${calendar.path}: ${planned ? `${date} is "${planned.topic}"` : `nothing planned for ${date}`}`);
+  }
+
+  const difficulty = typeof opts.difficulty === "string" ? opts.difficulty.toUpperCase() : planned?.difficulty ?? null;
+  if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+    throw new Error(`Unknown --difficulty "${opts.difficulty}". Use one of: ${DIFFICULTIES.join(", ")}`);
+  }
+  const target = {
+    topic: typeof opts.topic === "string" ? opts.topic : planned?.topic ?? null,
+    difficulty
+  };
+  const language = resolveSnippetLanguage(typeof opts["snippet-lang"] === "string" ? opts["snippet-lang"] : planned?.lang ?? config.snippetLang);
+
+  console.log(`🧩 Snippets: ${language.label}${target.topic ? `, topic "${target.topic}"` : ""}${target.difficulty ? `, ${target.difficulty}` : ""}`);
+  return { target, language };
+}
+
+function showHelp() {
+  const lines = [
+    "Usage:",
+    "  node main.js [options]",
+    "",
+    "Config (reel.config.json, flags win over the file):",
+    "  --config <path>          Reel config .json or .js (default: ./reel.config.json if present)",
+    "  --brand <handle>         Brand name used in the prompt and caption (default: @frontendfuture)",
+    "  --header <text>          Question header (default: What Is The Output?)",
+    "  --reveal-header <text>   Reveal reel header (default: Here's The Answer)",
+    "  --caption-cta <text>     Call to action under the caption; {{brand}} is filled in",
+    "  --prompt-template <path> Snippet prompt template file",
+    "  --theme <id>             Shiki theme for the code (default: nord)",
+    "  --background <css>       Page colours for generated backgrounds",
+    "  --duration <sec>         Reel length for timelines without their own (default: 7)",
+    "  --broll-folder <path>    B-roll library folder (default: ./broll)",
+    "  --audio-folder <path>    Audio library folder (default: ./audio)",
+    "  --output-root <path>     Where output_* batch folders go (default: .)",
+    "  --preset <list>          reels, shorts, tiktok, square, landscape or 9:16, 1:1, 16:9 (default: reels)",
+    "",
+    "Batch:",
+    "  --count <n>              Reels to generate (default: 1)",
+    "  --concurrency <n>        Reels rendered at once (default: 2)",
+    "",
+    "Snippets:",
+    "  --provider <id>          openai, local or fixtures (default: openai)",
+    "  --model <id>             Model name",
+    "  --base-url <url>         OpenAI-compatible endpoint for --provider local",
+    "  --fixtures <path>        Responses for --provider fixtures",
+    "  --quality-rules <path>   JSON overrides for the quality gate",
+    "  --history <path>         Snippet history file (default: ./snippet-history.jsonl,",
+    "                           none for --provider fixtures)",
+    "  --topic <text>           Topic every snippet must be about",
+    "  --difficulty <level>     EASY, MEDIUM or HARD",
+    "  --snippet-lang <id>      javascript, typescript or python (default: javascript)",
+    "  --calendar <path>        Content calendar with a topic per date",
+    "  --date <YYYY-MM-DD>      Calendar date to use (default: today)",
+    "  --highlight <lines>      Emphasise lines, e.g. 2,4-5 (default: the model's pick)",
+    "  --focus                  Dim every line that is not highlighted",
+    "  --diff                   Ask for the snippet as a +/- diff",
+    "  --quiz                   Multiple choice: A-D option cards under the code",
+    "",
+    "Layout and timing:",
+    "  --reveal                 Also render the answer reel",
+    "  --carousel               Also render 1080x1350 carousel slides (question, hint, answer, CTA)",
+    "  --timeline <path>        Question timeline",
+    "  --reveal-timeline <path> Reveal timeline",
+    "  --typing [line|char]     Type the code in (default mode: line)",
+    "  --typing-start <sec>     Typing start",
+    "  --typing-end <sec>       Typing end",
+    "  --countdown [number|bar] Countdown after the level badge",
+    "  --end-card [text]        End card over the last second",
+    "  --vars <k=v,...>         Timeline variable overrides",
+    "  --fonts-dir <path>       Bundled font folder (default: ./fonts)",
+    "  --font-heading <file>    Heading font file",
+    "  --font-code <file>       Code font file",
+    "",
+    "Background and audio:",
+    "  --mood <name>            Only pick audio tracks with this mood",
+    "  --broll-tag <tag>        Only pick b-roll clips with this tag",
+    "  --generated-background [gradient|particles|pan]  Skip b-roll footage",
+    "  --debug-broll            Also write the background on its own",
+    "",
+    "  --help                   Show this help"
+  ];
+  process.stdout.write(`${lines.join("\n")}\n`);
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    showHelp();
+    return;
+  }
+
+  const config = applyConfigFlags(await loadReelConfig(typeof opts.config === "string" ? opts.config : null), opts);
+  if (config.source) console.log(`⚙️  Config: ${config.source}`);
+  const { target, language } = await snippetTarget(opts, config);
+  const basePrompt = await loadPrompt(config, language);
+  const count = Math.max(1, Math.floor(toNumber(opts.count, 1)));
+  const concurrency = Math.max(1, Math.floor(toNumber(opts.concurrency, DEFAULTS.concurrency)));
+  const batchDir = path.join(config.outputRoot, getTimestampedFolder());
+  const summaryPath = path.join(batchDir, "summary.json");
+
+  const provider = await createProvider({
+    provider: opts.provider || process.env.SNIPPET_PROVIDER,
+    model: opts.model || process.env.SNIPPET_MODEL,
+    baseURL: opts["base-url"] || process.env.SNIPPET_BASE_URL,
+    apiKey: process.env.SNIPPET_API_KEY,
+    fixturesPath: opts.fixtures || process.env.SNIPPET_FIXTURES
+  });
+  console.log(`🤖 Snippet provider: ${provider.name} (${provider.model})`);
 
   try {
-    await fs.access(DEFAULTS.bRollPath);
+    await fs.access(config.audioFolder);
   } catch (err) {
-    throw new Error(`B-roll video not found at: ${DEFAULTS.bRollPath}`);
+    throw new Error(`Audio folder not found at: ${config.audioFolder}`);
+  }
+
+  const audioLibrary = await loadAudioLibrary(config.audioFolder);
+  const mood = typeof opts.mood === "string" ? opts.mood : null;
+  if (mood && !audioLibrary.some((track) => track.mood === mood)) {
+    throw new Error(`No audio tracks with mood "${mood}" in ${config.audioFolder}/catalog.json`);
+  }
+  console.log(`🎵 Audio library: ${audioLibrary.length} track(s)${mood ? `, mood ${mood}` : ""}`);
+
+  const brollLibrary = await loadBrollLibrary(config.brollFolder, { extraClips: [DEFAULTS.bRollPath] });
+  const brollTag = typeof opts["broll-tag"] === "string" ? opts["broll-tag"] : null;
+  const generatedStyle = opts["generated-background"] || null;
+  if (typeof generatedStyle === "string") generatedBackground(generatedStyle);
+  const debugBroll = Boolean(opts["debug-broll"]);
+  if (brollTag && !brollLibrary.some((clip) => clip.tags.includes(brollTag))) {
+    console.warn(`⚠️  No b-roll clips tagged "${brollTag}", using generated backgrounds`);
+  }
+  console.log(`🎬 B-roll library: ${brollLibrary.length} clip(s)${brollTag ? `, tag ${brollTag}` : ""}${brollLibrary.length === 0 || generatedStyle ? ", generated backgrounds" : ""}`);
+
+  const qualityRules = await loadQualityRules(opts["quality-rules"], language.id);
+  const fonts = await loadFonts({
+    fontsDir: opts["fonts-dir"],
+    overrides: { heading: opts["font-heading"], code: opts["font-code"] }
+  });
+  for (const font of Object.values(fonts.roles)) {
+    console.log(`🔤 Font ${font.role}: ${font.file} (${font.source})`);
   }
+  const reveal = Boolean(opts.reveal);
+  const quiz = Boolean(opts.quiz);
+  const carousel = Boolean(opts.carousel);
+  const timelines = {
+    question: await loadTimeline(opts.timeline || (opts.typing ? DEFAULTS.timelines.typing : DEFAULTS.timelines.question)),
+    reveal: await loadTimeline(opts["reveal-timeline"] || DEFAULTS.timelines.reveal)
+  };
+  const timelineVars = {
+    ...(opts.typing ? typingVars(opts) : {}),
+    ...countdownVars(opts, timelines.question, config.duration),
+    // Option cards sit under the code, so the countdown and end card move below them.
+    ...(quiz ? { showOptions: true, footerY: "@options.bottom+60" } : {}),
+    ...parseVars(opts.vars)
+  };
+  // Fail before any model call if the flags don't fit the timeline.
+  const questionDuration = resolveTimeline(timelines.question, timelineVars, config.duration).duration;
 
+  const presets = resolvePresets(config.presets);
+  const annotations = {
+    highlight: typeof opts.highlight === "string" ? opts.highlight : null,
+    focus: Boolean(opts.focus),
+    diff: Boolean(opts.diff)
+  };
+  // A --highlight past the longest allowed snippet can never be met. A diff
+  // also shows its removed lines, so it may run longer.
   try {
-    await fs.access(DEFAULTS.audioFolder);
+    parseLineRanges(annotations.highlight, annotations.diff ? Infinity : qualityRules.maxLines);
   } catch (err) {
-    throw new Error(`Audio folder not found at: ${DEFAULTS.audioFolder}`);
+    throw new Error(`--highlight: ${err.message} (snippets have at most ${qualityRules.maxLines} lines)`);
   }
+  const longest = Math.max(questionDuration, reveal ? resolveTimeline(timelines.reveal, {}, config.duration).duration : 0);
+  for (const preset of presets) {
+    if (longest > preset.maxDuration) {
+      throw new Error(`Preset ${preset.name} allows at most ${preset.maxDuration}s, the timeline runs ${longest}s`);
+    }
+  }
+  console.log(`📐 Presets: ${presets.map((preset) => `${preset.name} ${preset.width}x${preset.height}`).join(", ")}`);
 
-  console.log(`Generating 1 code snippet for a ${duration}s video...\n`);
+  await fs.mkdir(batchDir, { recursive: true });
+  console.log(`\n📁 Batch directory: ${batchDir}\n`);
+  console.log(`Generating ${count} reel(s) of ${questionDuration}s, ${concurrency} at a time...\n`);
 
+  // Fixture replays start from the first line on every run, so they only
+  // check for duplicates within the run unless --history names a file.
+  const historyPath = typeof opts.history === "string"
+    ? opts.history
+    : provider.name === "fixtures" ? null : DEFAULTS.historyPath;
+  const history = await loadHistory(historyPath);
+  const state = await loadState(DEFAULTS.statePath);
   const browser = await puppeteer.launch({ headless: "new" });
+  const indices = Array.from({ length: count }, (_, i) => i);
+  let results;
 
   try {
-    const snippet = await generateSnippetWithAI(0);
-    
-    await renderSnippet(snippet.code, snippet.difficulty, imagePath, browser);
-
-    await extractRandomVideoSegment(DEFAULTS.bRollPath, bRollSegmentPath, duration);
-
-    const audioPath = await getRandomAudioFile(DEFAULTS.audioFolder);
-
-    // Pass difficulty to the overlay function
-    await overlayCodeOnVideoWithAudio(bRollSegmentPath, imagePath, audioPath, videoPath, duration, snippet.difficulty);
-
-    const captionContent = 
-      `==================== REEL ====================\n` +
-      `DIFFICULTY: ${snippet.difficulty}\n\n` +
-      `CODE:\n${snippet.code}\n\n` +
-      `CAPTION:\n${snippet.caption}\n\n` +
-      `AUDIO: ${path.basename(audioPath)}\n`;
-    
-    await fs.writeFile(captionPath, captionContent);
-    console.log(`✓ Caption saved: ${captionPath}`);
-
-    console.log("\n" + "=".repeat(60));
-    console.log("✨ ALL DONE!");
-    console.log("=".repeat(60));
-    console.log(`📁 Folder: ${outputDir}`);
-    console.log(`🎥 Video: ${videoPath}`);
-    console.log(`📝 Caption: ${captionPath}`);
-    console.log(`🖼️  Image: ${imagePath}`);
-    console.log(`🎬 B-roll segment: ${bRollSegmentPath}`);
-    console.log(`🎵 Audio: ${path.basename(audioPath)}`);
-    console.log(`⏱️  Level appears at: ${DEFAULTS.levelAppearTime}s`);
+    results = await runWithConcurrency(indices, concurrency, async (index) => {
+      const reelDir = path.join(batchDir, `reel_${String(index + 1).padStart(2, '0')}`);
+      try {
+        const reel = await produceReel(index, reelDir, { browser, provider, history, qualityRules, reveal, timelines, timelineVars, fonts, audioLibrary, state, mood, brollLibrary, brollTag, generatedStyle, debugBroll, presets, annotations, basePrompt, target, language, quiz, carousel, config });
+        return { index: index + 1, status: "succeeded", ...reel };
+      } catch (err) {
+        console.error(`\n✗ Reel ${index + 1} failed: ${err.message}`);
+        return { index: index + 1, status: "failed", folder: reelDir, error: err.message };
+      }
+    });
   } finally {
     await browser.close();
   }
+
+  const succeeded = results.filter((result) => result.status === "succeeded");
+  const failed = results.filter((result) => result.status === "failed");
+
+  await fs.writeFile(summaryPath, JSON.stringify({
+    createdAt: new Date().toISOString(),
+    count,
+    concurrency,
+    succeeded: succeeded.length,
+    failed: failed.length,
+    reels: results
+  }, null, 2));
+
+  console.log("\n" + "=".repeat(60));
+  console.log(failed.length === 0 ? "✨ ALL DONE!" : `⚠️  DONE WITH ${failed.length} FAILURE(S)`);
+  console.log("=".repeat(60));
+  console.log(`📁 Batch folder: ${batchDir}`);
+  console.log(`📋 Summary: ${summaryPath}`);
+  for (const result of results) {
+    if (result.status === "succeeded") {
+      console.log(`✓ Reel ${result.index}: ${result.video} (${result.difficulty}, 🎵 ${result.audio})`);
+      if (presets.length > 1) {
+        for (const [name, output] of Object.entries(result.presets)) console.log(`  📐 ${name}: ${output.video}`);
+      }
+      console.log(`  ⏱  ${formatTimings(result.timings)}`);
+    } else {
+      console.log(`✗ Reel ${result.index}: ${result.error}`);
+    }
+  }
+  console.log(`🎞️  Timeline: ${timelines.question.name}${reveal ? ` + ${timelines.reveal.name}` : ""}`);
+
+  if (failed.length > 0) {
+    process.exitCode = 1;
+  }
 }
 
 main().catch((err) => {
@@ -1,52 +1,39 @@
 import fs from "node:fs/promises";
 import path from "node:path";
 import process from "node:process";
-import { generateText } from "ai";
-import { openai } from "@ai-sdk/openai";
-import { getHighlighter, bundledThemes, bundledLanguages } from "shiki";
-import puppeteer from "puppeteer";
+import { parseArgs, toNumber } from "../src/args.js";
+import {
+  renderSnippet,
+  resolveFormat,
+  resolveTheme,
+  resolveLanguage,
+  SNIPPET_DEFAULTS,
+  LAYOUT_DEFAULTS,
+  FIT_DEFAULTS
+} from "../src/render.js";
+import { startRenderServer, SERVER_DEFAULTS } from "../src/server.js";
 
 const DEFAULTS = {
-  lang: "javascript",
-  theme: "nord",
-  width: 720,
-  padding: 64,
-  font: "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace",
+  ...SNIPPET_DEFAULTS,
+  ...LAYOUT_DEFAULTS,
   title: "snippet",
-  output: "snippet.png",
-  background: "radial-gradient(1200px circle at 10% 20%, #1f2937 0%, #0f172a 45%, #020617 100%)",
-  scale: 2
+  output: "snippet.png"
 };
 
-function parseArgs(argv) {
-  const opts = { _: [] };
-  for (let i = 0; i < argv.length; i += 1) {
-    const arg = argv[i];
-    if (arg.startsWith("--")) {
-      const key = arg.slice(2);
-      const next = argv[i + 1];
-      if (!next || next.startsWith("--")) {
-        opts[key] = true;
-      } else {
-        opts[key] = next;
-        i += 1;
-      }
-    } else {
-      opts._.push(arg);
-    }
-  }
-  return opts;
-}
-
 function showHelp() {
   const lines = [
     "Usage:",
     "  node scripts/render-snippet.js --input <file> --output <file>",
     "  cat snippet.js | node scripts/render-snippet.js --lang js",
+    "  node scripts/render-snippet.js serve [--port 4000] [--pages 2]",
     "",
     "Options:",
     "  --input <path>     Read code from file (default: stdin)",
-    "  --output <path>    Output image path (default: snippet.png)",
+    "  --output <path>    Output path; the extension picks the format (default: snippet.png)",
+    "  --format <id>      png, jpeg, webp, pdf, svg, gif or mp4 (default: from --output)",
+    "  --quality <0-100>  JPEG/WebP quality (default: 90)",
+    "  --fps <number>     GIF/MP4 typing preview frame rate (default: 15)",
+    "  --duration <sec>   GIF/MP4 typing time before the final hold (default: 3)",
     "  --lang <id>        Language for highlighting (default: javascript)",
     "  --theme <id>       Shiki theme (default: nord)",
     "  --width <px>       Code frame width (default: 720)",
@@ -54,9 +41,27 @@ function showHelp() {
     "  --background <css> Canvas background CSS (default: gradient)",
     "  --font <css>       Font-family for code (default: system monospace stack)",
     "  --font-size <px>  Code font size (default: 16)",
-    "  --title <text>     Window title label (default: snippet)",
+    "  --fit              Pick the largest font size where every line fits --width;",
+    "                     lines too long even at --min-font-size soft-wrap",
+    "  --min-font-size <px> Smallest size --fit may use (default: 12)",
+    "  --max-font-size <px> Largest size --fit may use (default: 32)",
+    "  --title <text>     Window title label (default: input file name, or snippet)",
+    "  --frame-style <id> macos, windows, card or terminal (default: macos)",
+    "  --radius <px>      Frame corner radius (default: per frame style)",
+    "  --shadow <css>     Frame box-shadow, or none",
+    "  --transparent-frame  Transparent canvas; PNG/WebP keep the alpha",
+    "  --highlight <lines> Emphasise lines, e.g. 2,4-5",
+    "  --focus            Dim every line that is not highlighted",
+    "  --diff             Treat leading +/- as diff markers (added/removed lines)",
     "  --scale <number>   Device pixel ratio (default: 2)",
-    "  --help             Show this help"
+    "  --help             Show this help",
+    "",
+    "Serve options:",
+    "  --host <addr>      Interface to listen on (default: 127.0.0.1)",
+    "  --port <number>    Port (default: 4000)",
+    "  --pages <number>   Warm browser pages, i.e. parallel renders (default: 2)",
+    "  --max-queue <n>    Requests allowed to wait for a page (default: 16)",
+    "  --timeout <ms>     Per-request render timeout (default: 30000)"
   ];
   process.stdout.write(`${lines.join("\n")}\n`);
 }
@@ -78,164 +83,33 @@ async function readInput(opts) {
   return Buffer.concat(chunks).toString("utf8");
 }
 
-function toNumber(value, fallback) {
-  if (value === undefined) return fallback;
-  const num = Number(value);
-  return Number.isFinite(num) ? num : fallback;
-}
-
-function estimateHeight({ lines, fontSize, lineHeight, chromeHeight, codePadding, canvasPadding }) {
-  const codeHeight = lines * lineHeight + codePadding * 2;
-  return Math.ceil(codeHeight + chromeHeight + canvasPadding * 2 + 40);
-}
-
-function escapeHtml(value) {
-  return String(value)
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll("\"", "&quot;")
-    .replaceAll("'", "&#39;");
-}
-
-function buildHtml({
-  codeHtml,
-  width,
-  padding,
-  background,
-  font,
-  title,
-  themeName,
-  fontSize
-}) {
-  return `<!doctype html>
-<html lang="en">
-<head>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <title>snippet</title>
-  <style>
-    :root {
-      --frame-radius: 16px;
-      --frame-bg: #0b1120;
-      --chrome-bg: linear-gradient(90deg, #0f172a 0%, #111827 100%);
-      --chrome-border: rgba(148, 163, 184, 0.16);
-      --shadow: 0 30px 60px rgba(2, 6, 23, 0.6);
-    }
-    * { box-sizing: border-box; }
-    body {
-      margin: 0;
-      min-height: 100vh;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      background: #0b1120;
-      font-family: ${font};
-    }
-    .canvas {
-      display: inline-block;
-      padding: ${padding}px;
-      background: ${background};
-      border-radius: 28px;
-    }
-    .frame {
-      width: ${width}px;
-      background: var(--frame-bg);
-      border-radius: var(--frame-radius);
-      box-shadow: var(--shadow);
-      overflow: hidden;
-      border: 1px solid rgba(148, 163, 184, 0.18);
-    }
-    .chrome {
-      height: 40px;
-      display: flex;
-      align-items: center;
-      padding: 0 16px;
-      gap: 12px;
-      background: var(--chrome-bg);
-      border-bottom: 1px solid var(--chrome-border);
-      color: #cbd5f5;
-      font-size: 12px;
-      letter-spacing: 0.06em;
-      text-transform: uppercase;
-    }
-    .dots { display: flex; gap: 8px; }
-    .dot { width: 10px; height: 10px; border-radius: 999px; }
-    .dot.red { background: #f87171; }
-    .dot.yellow { background: #facc15; }
-    .dot.green { background: #4ade80; }
-    .code {
-      padding: 24px;
-      font-size: ${fontSize}px;
-      line-height: 1.6;
-      color: #e2e8f0;
-    }
-    .code pre,
-    .code code {
-      margin: 0;
-      white-space: pre;
-      font-family: inherit;
-    }
-    .code pre.shiki {
-      background: transparent !important;
-      padding: 0 !important;
-    }
-    .chrome { justify-content: flex-start; }
-  </style>
-</head>
-<body>
-  <div class="canvas">
-    <div class="frame">
-      <div class="chrome">
-        <div class="dots">
-          <span class="dot red"></span>
-          <span class="dot yellow"></span>
-          <span class="dot green"></span>
-        </div>
-      </div>
-      <div class="code">
-        ${codeHtml}
-      </div>
-    </div>
-  </div>
-</body>
-</html>`;
-}
-
-function resolveTheme(requested, fallback) {
-  const available = Object.keys(bundledThemes);
-  if (available.includes(requested)) return requested;
-  if (available.includes(fallback)) return fallback;
-  return available[0] || fallback;
+// --format wins over the --output extension, and an output without an
+// extension is written as the default format. Without --output the default
+// file gets the format's extension.
+function resolveOutput(opts) {
+  const extension = opts.output ? path.extname(opts.output).slice(1) : "";
+  const format = resolveFormat(opts.format || extension || DEFAULTS.format);
+  const output = opts.output || `${path.basename(DEFAULTS.output, ".png")}.${format === "jpeg" ? "jpg" : format}`;
+  return { format, output };
 }
 
-function resolveLanguage(requested, fallback) {
-  const available = Object.keys(bundledLanguages);
-  const aliases = new Map([
-    ["js", "javascript"],
-    ["ts", "typescript"],
-    ["py", "python"],
-    ["rb", "ruby"],
-    ["sh", "bash"]
-  ]);
-  const normalized = aliases.get(requested) || requested;
-  if (available.includes(normalized)) return normalized;
-  if (available.includes(fallback)) return fallback;
-  return available[0] || fallback;
-}
-
-async function runDummyOpenAICall() {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error("Missing OPENAI_API_KEY. Set it to run the OpenAI warmup call.");
-  }
-
-  const response = await generateText({
-    model: openai("gpt-4o-mini"),
-    prompt: "Reply with the single word: ok",
-    maxTokens: 1
+async function serve(opts) {
+  const server = await startRenderServer({
+    host: opts.host || SERVER_DEFAULTS.host,
+    port: toNumber(opts.port, SERVER_DEFAULTS.port),
+    pages: Math.max(1, Math.floor(toNumber(opts.pages, SERVER_DEFAULTS.pages))),
+    maxQueue: Math.max(0, Math.floor(toNumber(opts["max-queue"], SERVER_DEFAULTS.maxQueue))),
+    timeoutMs: toNumber(opts.timeout, SERVER_DEFAULTS.timeoutMs)
   });
-
-  console.log({response});
+  process.stdout.write(`Render server listening on ${server.url} (POST /render, GET /health)\n`);
+
+  const shutdown = async () => {
+    process.stdout.write("Shutting down render server...\n");
+    await server.close();
+    process.exit(0);
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
 }
 
 async function main() {
@@ -244,20 +118,17 @@ async function main() {
     showHelp();
     return;
   }
+  if (opts._[0] === "serve") {
+    await serve(opts);
+    return;
+  }
 
   const code = await readInput(opts);
   const requestedLang = opts.lang || DEFAULTS.lang;
   const requestedTheme = opts.theme || DEFAULTS.theme;
-  const width = toNumber(opts.width, DEFAULTS.width);
-  const padding = toNumber(opts.padding, DEFAULTS.padding);
-  const font = opts.font || DEFAULTS.font;
-  const title = opts.title || DEFAULTS.title;
-  const background = opts.background || DEFAULTS.background;
-  const output = opts.output || DEFAULTS.output;
-  const scale = toNumber(opts.scale, DEFAULTS.scale);
-  const fontSize = toNumber(opts["font-size"] || opts.fontSize || opts.fontsize, 16);
-
-  await runDummyOpenAICall();
+  const { format, output } = resolveOutput(opts);
+  const input = opts.input || opts._[0];
+  const title = typeof opts.title === "string" ? opts.title : input ? path.basename(input) : DEFAULTS.title;
 
   const theme = resolveTheme(requestedTheme, DEFAULTS.theme);
   const lang = resolveLanguage(requestedLang, DEFAULTS.lang);
@@ -268,67 +139,44 @@ async function main() {
     process.stderr.write(`Language "${requestedLang}" not found. Using "${lang}".\n`);
   }
 
-  const highlighter = await getHighlighter({ themes: [theme], langs: [lang] });
-  const codeHtml = highlighter.codeToHtml(code, { lang, theme });
-
-  const lineCount = code.split("\n").length;
-  const lineHeight = fontSize * 1.6;
-  const estimatedHeight = estimateHeight({
-    lines: lineCount,
-    fontSize,
-    lineHeight,
-    chromeHeight: 40,
-    codePadding: 24,
-    canvasPadding: padding
-  });
-
-  const browser = await puppeteer.launch({
-    headless: "new"
-  });
-
-  try {
-    const page = await browser.newPage();
-    await page.setViewport({
-      width: Math.max(width + padding * 2, 320),
-      height: Math.max(estimatedHeight, 480),
-      deviceScaleFactor: scale
-    });
-
-    const html = buildHtml({
-      codeHtml,
-      width,
-      padding,
-      background,
-      font,
+  const image = await renderSnippet({
+    code,
+    lang,
+    theme,
+    format,
+    layout: {
+      width: toNumber(opts.width, DEFAULTS.width),
+      padding: toNumber(opts.padding, DEFAULTS.padding),
+      background: opts.background || DEFAULTS.background,
+      font: opts.font || DEFAULTS.font,
+      fontSize: toNumber(opts["font-size"] || opts.fontSize || opts.fontsize, DEFAULTS.fontSize),
+      transparent: Boolean(opts["transparent-frame"]),
+      frameStyle: opts["frame-style"] || DEFAULTS.frameStyle,
       title,
-      themeName: theme,
-      fontSize
-    });
-
-    await page.setContent(html, { waitUntil: "load" });
-
-    const clip = await page.evaluate(() => {
-      const frame = document.querySelector(".frame");
-      if (!frame) return null;
-      const rect = frame.getBoundingClientRect();
-      return {
-        x: Math.floor(rect.x),
-        y: Math.floor(rect.y),
-        width: Math.ceil(rect.width),
-        height: Math.ceil(rect.height)
-      };
-    });
-
-    if (!clip) {
-      throw new Error("Failed to locate canvas for screenshot.");
+      radius: opts.radius === undefined ? DEFAULTS.radius : toNumber(opts.radius, DEFAULTS.radius),
+      shadow: opts.shadow || DEFAULTS.shadow,
+      fit: opts.fit || opts["min-font-size"] !== undefined || opts["max-font-size"] !== undefined
+        ? {
+          minFontSize: toNumber(opts["min-font-size"], FIT_DEFAULTS.minFontSize),
+          maxFontSize: toNumber(opts["max-font-size"], FIT_DEFAULTS.maxFontSize)
+        }
+        : null
+    },
+    scale: toNumber(opts.scale, DEFAULTS.scale),
+    quality: toNumber(opts.quality, DEFAULTS.quality),
+    annotations: {
+      highlight: typeof opts.highlight === "string" ? opts.highlight : null,
+      focus: Boolean(opts.focus),
+      diff: Boolean(opts.diff)
+    },
+    typing: {
+      fps: toNumber(opts.fps, DEFAULTS.typing.fps),
+      duration: toNumber(opts.duration, DEFAULTS.typing.duration)
     }
+  });
 
-    await fs.mkdir(path.dirname(output), { recursive: true });
-    await page.screenshot({ path: output, clip });
-  } finally {
-    await browser.close();
-  }
-
+  await fs.mkdir(path.dirname(output), { recursive: true });
+  await fs.writeFile(output, image);
   process.stdout.write(`Wrote ${output}\n`);
 }
 
@@ -0,0 +1,25 @@
+export function parseArgs(argv) {
+  const opts = { _: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg.startsWith("--")) {
+      const key = arg.slice(2);
+      const next = argv[i + 1];
+      if (!next || next.startsWith("--")) {
+        opts[key] = true;
+      } else {
+        opts[key] = next;
+        i += 1;
+      }
+    } else {
+      opts._.push(arg);
+    }
+  }
+  return opts;
+}
+
+export function toNumber(value, fallback) {
+  if (value === undefined) return fallback;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+}
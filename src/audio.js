@@ -0,0 +1,110 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { saveState } from "./state.js";
+
+export const AUDIO_EXTENSIONS = [".mp3", ".wav", ".m4a", ".aac", ".ogg", ".flac"];
+
+export const AUDIO_DEFAULTS = {
+  catalog: "catalog.json",
+  recentWindow: 3, // never pick one of the last N tracks (when there are more)
+  loudness: -14, // integrated LUFS target
+  truePeak: -1.5,
+  loudnessRange: 11,
+  fadeIn: 0.5,
+  fadeOut: 1
+};
+
+const TRACK_DEFAULTS = {
+  mood: null,
+  bpm: null,
+  startOffset: 0,
+  credit: null,
+  weight: 1
+};
+
+// Lists the audio files in `folder` merged with their entries in the sidecar
+// catalog (`catalog.json`: { "tracks": [{ "file", "mood", "bpm",
+// "startOffset", "credit", "weight" }] }). Files without an entry get the
+// defaults; catalog entries without a file are reported.
+export async function loadAudioLibrary(folder, { catalog = AUDIO_DEFAULTS.catalog } = {}) {
+  let files;
+  try {
+    files = await fs.readdir(folder);
+  } catch (err) {
+    throw new Error(`Failed to read audio folder: ${err.message}`);
+  }
+
+  const audioFiles = files.filter((file) => AUDIO_EXTENSIONS.includes(path.extname(file).toLowerCase()));
+  if (audioFiles.length === 0) {
+    throw new Error(`No audio files found in ${folder}`);
+  }
+
+  const catalogPath = path.join(folder, catalog);
+  let entries = [];
+  try {
+    entries = JSON.parse(await fs.readFile(catalogPath, "utf8")).tracks || [];
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw new Error(`Failed to read audio catalog ${catalogPath}: ${err.message}`);
+    }
+  }
+
+  const byFile = new Map(entries.map((entry) => [entry.file, entry]));
+  for (const entry of entries) {
+    if (!audioFiles.includes(entry.file)) {
+      console.warn(`⚠️  Audio catalog lists ${entry.file}, which is not in ${folder}`);
+    }
+  }
+
+  return audioFiles.map((file) => ({
+    ...TRACK_DEFAULTS,
+    ...byFile.get(file),
+    file,
+    path: path.join(folder, file)
+  }));
+}
+
+function weightedPick(tracks) {
+  const total = tracks.reduce((sum, track) => sum + Math.max(0, track.weight), 0);
+  let roll = Math.random() * total;
+  for (const track of tracks) {
+    roll -= Math.max(0, track.weight);
+    if (roll < 0) return track;
+  }
+  return tracks[tracks.length - 1];
+}
+
+// Weighted pick that skips recently used tracks (kept in the run state) and,
+// when given, tracks of another mood. The pick is recorded immediately so
+// parallel reels in a batch don't share a track.
+export async function selectTrack(library, state, { mood = null, recentWindow = AUDIO_DEFAULTS.recentWindow } = {}) {
+  let candidates = mood ? library.filter((track) => track.mood === mood) : library;
+  if (candidates.length === 0) {
+    throw new Error(`No audio tracks with mood "${mood}" in the catalog`);
+  }
+
+  const recent = state.data.recentAudio || [];
+  const window = Math.min(recentWindow, candidates.length - 1);
+  const avoid = new Set(recent.slice(-window));
+  const fresh = window > 0 ? candidates.filter((track) => !avoid.has(track.file)) : candidates;
+  if (fresh.length > 0) candidates = fresh;
+
+  const track = weightedPick(candidates);
+  state.data.recentAudio = [...recent, track.file].slice(-Math.max(recentWindow, 10));
+  await saveState(state);
+  return track;
+}
+
+// ffmpeg audio chain for a track: trim to the reel, normalize loudness
+// (EBU R128, resampled back from loudnorm's 192kHz) and fade in/out. The start
+// offset is applied as an input seek (`-ss`) by the caller.
+export function audioFilter(inputLabel, outputLabel, duration, options = AUDIO_DEFAULTS) {
+  const fadeOutStart = Math.max(0, duration - options.fadeOut);
+  return `[${inputLabel}]atrim=0:${duration},asetpts=PTS-STARTPTS,` +
+    `loudnorm=I=${options.loudness}:TP=${options.truePeak}:LRA=${options.loudnessRange},aresample=48000,` +
+    `afade=t=in:st=0:d=${options.fadeIn},afade=t=out:st=${fadeOutStart}:d=${options.fadeOut}[${outputLabel}]`;
+}
+
+export function creditLine(track) {
+  return track.credit || `${track.file} (no credit in catalog)`;
+}
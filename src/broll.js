@@ -0,0 +1,164 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import ffmpeg from "fluent-ffmpeg";
+import { saveState } from "./state.js";
+
+export const VIDEO_EXTENSIONS = [".mov", ".mp4", ".m4v", ".webm", ".mkv"];
+export const GENERATED_STYLES = ["gradient", "particles", "pan"];
+
+export const BROLL_DEFAULTS = {
+  catalog: "catalog.json",
+  panScale: 1.4 // the "pan" background image is this much larger than the reel
+};
+
+function probeDuration(file) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(file, (err, metadata) => {
+      if (err) reject(err);
+      else resolve(metadata.format.duration);
+    });
+  });
+}
+
+// Lists the clips in `folder` (plus `extraClips`, e.g. the old single
+// bRoll.mov) merged with the sidecar catalog (`catalog.json`: { "clips":
+// [{ "file", "tags": [], "weight" }] }). A missing folder is an empty library.
+export async function loadBrollLibrary(folder, { catalog = BROLL_DEFAULTS.catalog, extraClips = [] } = {}) {
+  let files = [];
+  try {
+    files = await fs.readdir(folder);
+  } catch (err) {
+    if (err.code !== "ENOENT") throw new Error(`Failed to read b-roll folder: ${err.message}`);
+  }
+
+  let entries = [];
+  try {
+    entries = JSON.parse(await fs.readFile(path.join(folder, catalog), "utf8")).clips || [];
+  } catch (err) {
+    if (err.code !== "ENOENT") throw new Error(`Failed to read b-roll catalog: ${err.message}`);
+  }
+  const byFile = new Map(entries.map((entry) => [entry.file, entry]));
+
+  const clips = files
+    .filter((file) => VIDEO_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .map((file) => ({ tags: [], weight: 1, ...byFile.get(file), file, path: path.join(folder, file) }));
+
+  for (const extra of extraClips) {
+    try {
+      await fs.access(extra);
+      clips.push({ tags: [], weight: 1, file: path.basename(extra), path: extra });
+    } catch {
+      // optional
+    }
+  }
+
+  return clips;
+}
+
+// Gaps of at least `duration` seconds between the segments already used.
+function freeSlots(used, total, duration) {
+  const slots = [];
+  let cursor = 0;
+  for (const segment of [...used].sort((a, b) => a.start - b.start)) {
+    if (segment.start - cursor >= duration) slots.push({ start: cursor, end: segment.start });
+    cursor = Math.max(cursor, segment.end);
+  }
+  if (total - cursor >= duration) slots.push({ start: cursor, end: total });
+  return slots;
+}
+
+// Picks a clip (weighted, optionally by tag) and a start time whose segment
+// does not overlap anything used in earlier runs. When every clip is used up
+// the rotation starts over. Returns null when there is no footage at all.
+export async function selectSegment(library, state, { duration, tag = null }) {
+  const candidates = tag ? library.filter((clip) => clip.tags.includes(tag)) : library;
+  if (candidates.length === 0) return null;
+
+  for (const clip of candidates) {
+    clip.duration ??= await probeDuration(clip.path);
+  }
+
+  // No awaits from here until the segment is recorded, so concurrent reels
+  // never pick overlapping segments.
+  const used = state.data.brollSegments || {};
+  const options = [];
+  for (const clip of candidates) {
+    if (clip.duration < duration) continue;
+    const slots = freeSlots(used[clip.file] || [], clip.duration, duration);
+    const room = slots.reduce((sum, slot) => sum + slot.end - slot.start - duration, 0);
+    if (slots.length > 0) options.push({ clip, slots, weight: clip.weight * (room + 1) });
+  }
+
+  if (options.length === 0) {
+    if (!candidates.some((clip) => clip.duration >= duration)) return null;
+    console.log(`♻️  Every b-roll segment has been used, starting a new rotation`);
+    for (const clip of candidates) delete used[clip.file];
+    state.data.brollSegments = used;
+    return selectSegment(library, state, { duration, tag });
+  }
+
+  let roll = Math.random() * options.reduce((sum, option) => sum + option.weight, 0);
+  const option = options.find((item) => (roll -= item.weight) < 0) || options[options.length - 1];
+  const slot = option.slots[Math.floor(Math.random() * option.slots.length)];
+  const start = slot.start + Math.random() * (slot.end - slot.start - duration);
+
+  used[option.clip.file] = [...(used[option.clip.file] || []), { start, end: start + duration }];
+  state.data.brollSegments = used;
+  await saveState(state);
+
+  return { kind: "clip", clip: option.clip, start, label: `${option.clip.file} @ ${start.toFixed(2)}s` };
+}
+
+export function generatedBackground(style, { panImage = null } = {}) {
+  if (!GENERATED_STYLES.includes(style)) {
+    throw new Error(`Unknown generated background "${style}". Use one of: ${GENERATED_STYLES.join(", ")}`);
+  }
+  return { kind: "generated", style, panImage, label: `generated ${style}` };
+}
+
+function paletteFrom(css) {
+  const colors = css.match(/#[0-9a-f]{6}\b/gi) || [];
+  return colors.length >= 2 ? colors : ["#1f2937", "#0f172a", "#020617"];
+}
+
+// ffmpeg input and video filter chain that turn a background into a
+// width x height stream of `duration` seconds:
+//   { input, inputOptions, filter }
+export function backgroundSource(background, { width, height, duration, css }) {
+  if (background.kind === "clip") {
+    return {
+      input: background.clip.path,
+      inputOptions: [`-ss ${background.start}`, `-t ${duration}`],
+      filter: `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1`
+    };
+  }
+
+  const size = `${width}x${height}`;
+  const colors = paletteFrom(css);
+
+  if (background.style === "gradient") {
+    const stops = colors.slice(0, 8).map((color, i) => `c${i}=${color}`).join(":");
+    return {
+      input: `gradients=s=${size}:${stops}:n=${Math.min(colors.length, 8)}:speed=0.01:r=30:d=${duration}`,
+      inputOptions: ["-f lavfi"],
+      filter: "format=yuv420p"
+    };
+  }
+
+  if (background.style === "particles") {
+    // Sparse bright specks on the darkest brand colour, softened into dots.
+    const base = colors[colors.length - 1];
+    return {
+      input: `color=c=${base}:s=${size}:r=30:d=${duration}`,
+      inputOptions: ["-f lavfi"],
+      filter: "format=yuv420p,geq=lum='if(gt(random(1),0.9992),230,lum(X,Y))':cb='cb(X,Y)':cr='cr(X,Y)',gblur=sigma=2.5"
+    };
+  }
+
+  // "pan": slow diagonal pan across a larger render of the CSS gradient.
+  return {
+    input: background.panImage,
+    inputOptions: ["-loop 1", "-framerate 30", `-t ${duration}`],
+    filter: `crop=${width}:${height}:x='(iw-${width})*t/${duration}':y='(ih-${height})*t/${duration}',format=yuv420p`
+  };
+}
@@ -0,0 +1,70 @@
+import fs from "node:fs/promises";
+import { validate, DIFFICULTIES } from "./schema.js";
+
+// Content plan: what the snippets on a given day should be about.
+//   { "entries": [
+//     { "from": "2026-10-19", "to": "2026-10-25", "topic": "closures", "difficulty": "HARD" },
+//     { "date": "2026-10-22", "topic": "closures in loops", "lang": "typescript" }
+//   ] }
+// A single `date` entry beats a range; among overlapping ranges the later
+// entry in the file wins.
+export const CALENDAR_ENTRY_SCHEMA = {
+  date: { type: "string", required: false },
+  from: { type: "string", required: false },
+  to: { type: "string", required: false },
+  topic: { type: "string", required: true, maxLength: 60 },
+  difficulty: { type: "string", required: false, enum: DIFFICULTIES },
+  lang: { type: "string", required: false }
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function entryErrors(entry) {
+  const errors = validate(entry, CALENDAR_ENTRY_SCHEMA);
+  if (errors.length > 0) return errors;
+
+  const hasRange = entry.from !== undefined || entry.to !== undefined;
+  if (entry.date === undefined && !hasRange) return ["needs a \"date\" or a \"from\"/\"to\" range"];
+  if (entry.date !== undefined && hasRange) return ["has both \"date\" and a range"];
+  for (const key of ["date", "from", "to"]) {
+    if (entry[key] !== undefined && !DATE_PATTERN.test(entry[key])) {
+      errors.push(`"${key}" must be YYYY-MM-DD, got ${JSON.stringify(entry[key])}`);
+    }
+  }
+  if (entry.from && entry.to && entry.from > entry.to) errors.push("\"from\" is after \"to\"");
+  return errors;
+}
+
+export async function loadCalendar(calendarPath) {
+  let calendar;
+  try {
+    calendar = JSON.parse(await fs.readFile(calendarPath, "utf8"));
+  } catch (err) {
+    throw new Error(`Failed to load content calendar from ${calendarPath}: ${err.message}`);
+  }
+  if (!Array.isArray(calendar?.entries)) {
+    throw new Error(`Content calendar ${calendarPath} needs an "entries" array`);
+  }
+
+  const errors = calendar.entries.flatMap((entry, i) => entryErrors(entry).map((error) => `entry ${i + 1} ${error}`));
+  if (errors.length > 0) {
+    throw new Error(`Invalid content calendar (${calendarPath}): ${errors.join("; ")}`);
+  }
+  return { path: calendarPath, entries: calendar.entries };
+}
+
+// Today as YYYY-MM-DD in local time, the same way the batch folders are named.
+export function localDate(now = new Date()) {
+  const month = String(now.getMonth() + 1).padStart(2, "0");
+  const day = String(now.getDate()).padStart(2, "0");
+  return `${now.getFullYear()}-${month}-${day}`;
+}
+
+// The entry planned for `date` (YYYY-MM-DD), or null.
+export function calendarEntry(calendar, date) {
+  const exact = calendar.entries.findLast((entry) => entry.date === date);
+  if (exact) return exact;
+  return calendar.entries.findLast((entry) => entry.date === undefined
+    && (entry.from === undefined || entry.from <= date)
+    && (entry.to === undefined || date <= entry.to)) || null;
+}
@@ -0,0 +1,140 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+import { validate } from "./schema.js";
+import { resolveTheme } from "./render.js";
+import { toNumber } from "./args.js";
+import { SNIPPET_LANGUAGES } from "./languages.js";
+
+export const CONFIG_FILE = "./reel.config.json";
+
+// Everything a brand or channel changes about its reels. `promptTemplate` of
+// null uses the built-in prompt in main.js; a template file can use
+// {{brand}} and {{captionCta}}, and `captionCta` and `ctaText` can use
+// {{brand}}.
+export const REEL_CONFIG_DEFAULTS = {
+  brand: "@frontendfuture",
+  headerText: "What Is The Output?",
+  revealHeaderText: "Here's The Answer",
+  hintHeaderText: "Need A Hint?", // carousel slides
+  ctaHeaderText: "Did You Get It?",
+  ctaText: "Follow {{brand}} for a new code puzzle every day.",
+  captionCta: "Want free remote income coding training? Comment FREE TRAINING below. You must be following {{brand}} or we cannot send it.",
+  promptTemplate: null,
+  snippetLang: "javascript", // see src/languages.js
+  calendar: null, // content calendar file, see src/calendar.js
+  theme: "nord",
+  background: "radial-gradient(1200px circle at 10% 20%, #1f2937 0%, #0f172a 45%, #020617 100%)",
+  duration: 7, // seconds, for timelines without their own duration
+  presets: "reels",
+  brollFolder: "./broll",
+  audioFolder: "./audio",
+  outputRoot: "."
+};
+
+// Same rule format as SNIPPET_SCHEMA. Every key is optional, but unknown keys
+// are rejected so a typo doesn't silently fall back to the default.
+export const CONFIG_SCHEMA = {
+  brand: { type: "string", required: false, maxLength: 60 },
+  headerText: { type: "string", required: false, maxLength: 80 },
+  revealHeaderText: { type: "string", required: false, maxLength: 80 },
+  hintHeaderText: { type: "string", required: false, maxLength: 80 },
+  ctaHeaderText: { type: "string", required: false, maxLength: 80 },
+  ctaText: { type: "string", required: false, maxLength: 200 },
+  captionCta: { type: "string", required: false, maxLength: 1000 },
+  promptTemplate: { type: "string", required: false },
+  snippetLang: { type: "string", required: false, enum: Object.keys(SNIPPET_LANGUAGES) },
+  calendar: { type: "string", required: false },
+  theme: { type: "string", required: false },
+  background: { type: "string", required: false },
+  duration: { type: "number", required: false },
+  presets: { type: "string", required: false },
+  brollFolder: { type: "string", required: false },
+  audioFolder: { type: "string", required: false },
+  outputRoot: { type: "string", required: false }
+};
+
+// Paths in a config file are relative to the file, not the working directory.
+const PATH_KEYS = ["promptTemplate", "calendar", "brollFolder", "audioFolder", "outputRoot"];
+
+// Command-line flag -> config key. Flags win over the config file.
+// --snippet-lang is not here: main.js weighs it against the calendar.
+export const CONFIG_FLAGS = {
+  brand: "brand",
+  header: "headerText",
+  "reveal-header": "revealHeaderText",
+  "caption-cta": "captionCta",
+  "prompt-template": "promptTemplate",
+  calendar: "calendar",
+  theme: "theme",
+  background: "background",
+  duration: "duration",
+  preset: "presets",
+  "broll-folder": "brollFolder",
+  "audio-folder": "audioFolder",
+  "output-root": "outputRoot"
+};
+
+function checkConfig(config, source) {
+  const errors = [];
+  if (config.duration !== undefined && !(config.duration > 0)) {
+    errors.push("\"duration\" must be a positive number of seconds");
+  }
+  if (typeof config.theme === "string" && resolveTheme(config.theme, null) !== config.theme) {
+    errors.push(`"theme" "${config.theme}" is not a Shiki theme`);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid reel config (${source}): ${errors.join("; ")}`);
+  }
+}
+
+async function readConfigFile(configPath) {
+  if ([".js", ".mjs"].includes(path.extname(configPath))) {
+    const module = await import(pathToFileURL(path.resolve(configPath)).href);
+    return module.default;
+  }
+  return JSON.parse(await fs.readFile(configPath, "utf8"));
+}
+
+// Loads `configPath`, or ./reel.config.json when it exists, over
+// REEL_CONFIG_DEFAULTS. An explicit path that can't be read is an error.
+export async function loadReelConfig(configPath = null) {
+  const file = configPath || CONFIG_FILE;
+  try {
+    await fs.access(file);
+  } catch {
+    if (configPath) throw new Error(`Reel config not found at: ${configPath}`);
+    return { ...REEL_CONFIG_DEFAULTS, source: null };
+  }
+
+  let overrides;
+  try {
+    overrides = await readConfigFile(file);
+  } catch (err) {
+    throw new Error(`Failed to load reel config from ${file}: ${err.message}`);
+  }
+
+  const errors = validate(overrides, CONFIG_SCHEMA);
+  if (errors.length > 0) {
+    throw new Error(`Invalid reel config (${file}): ${errors.join("; ")}`);
+  }
+  checkConfig(overrides, file);
+
+  const baseDir = path.dirname(file);
+  for (const key of PATH_KEYS) {
+    const value = overrides[key];
+    if (typeof value === "string" && !path.isAbsolute(value)) overrides[key] = path.join(baseDir, value);
+  }
+  return { ...REEL_CONFIG_DEFAULTS, ...overrides, source: file };
+}
+
+// Applies the CONFIG_FLAGS given on the command line on top of `config`.
+export function applyConfigFlags(config, opts) {
+  const result = { ...config };
+  for (const [flag, key] of Object.entries(CONFIG_FLAGS)) {
+    if (typeof opts[flag] !== "string") continue;
+    result[key] = key === "duration" ? toNumber(opts[flag], NaN) : opts[flag];
+  }
+  checkConfig(result, "command line");
+  return result;
+}
@@ -0,0 +1,139 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+
+const execFileAsync = promisify(execFile);
+
+// One registry for every font used in a reel. The page (Puppeteer) and ffmpeg
+// drawtext both get the exact same file for a role, so header, code and
+// overlay text always match.
+//
+// Each role is resolved in order: an explicit path, a bundled file in
+// `fontsDir`, then the fallback chain. A fallback is either an absolute path or
+// a fontconfig pattern ("Family:style=Bold") resolved with fc-match.
+export const FONT_DEFAULTS = {
+  fontsDir: "./fonts",
+  roles: {
+    heading: {
+      cssFamily: "Reel Heading",
+      weight: 700,
+      files: ["Inter-Bold.ttf", "heading.ttf"],
+      fallbacks: [
+        "Inter:style=Bold",
+        "Arial:style=Bold",
+        "Helvetica:style=Bold",
+        "Liberation Sans:style=Bold",
+        "DejaVu Sans:style=Bold",
+        "/System/Library/Fonts/Supplemental/Arial Bold.ttf"
+      ]
+    },
+    code: {
+      cssFamily: "Reel Code",
+      weight: 400,
+      files: ["JetBrainsMono-Regular.ttf", "code.ttf"],
+      fallbacks: [
+        "JetBrains Mono",
+        "SF Mono",
+        "Menlo",
+        "Consolas",
+        "Liberation Mono",
+        "DejaVu Sans Mono",
+        "/System/Library/Fonts/Menlo.ttc"
+      ]
+    }
+  }
+};
+
+const FORMATS = {
+  ".ttf": ["font/ttf", "truetype"],
+  ".otf": ["font/otf", "opentype"],
+  ".ttc": ["font/collection", "collection"],
+  ".woff": ["font/woff", "woff"],
+  ".woff2": ["font/woff2", "woff2"]
+};
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// fc-match always answers with *some* font, so only accept the match when its
+// family is the one we asked for.
+async function fontconfigMatch(pattern) {
+  let stdout;
+  try {
+    ({ stdout } = await execFileAsync("fc-match", ["--format=%{file}\n%{family}", pattern]));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+
+  const [file, families = ""] = stdout.split("\n");
+  const wanted = pattern.split(":")[0].trim().toLowerCase();
+  const matched = families.split(",").some((family) => family.trim().toLowerCase() === wanted);
+  return matched && file ? file : null;
+}
+
+async function resolveRole(role, spec, { fontsDir, override }) {
+  const tried = [];
+
+  if (override) {
+    if (await exists(override)) return { role, ...spec, file: override, source: "path" };
+    throw new Error(`Font "${role}" not found at ${override}`);
+  }
+
+  for (const name of spec.files) {
+    const file = path.join(fontsDir, name);
+    tried.push(file);
+    if (await exists(file)) return { role, ...spec, file, source: "bundled" };
+  }
+
+  for (const fallback of spec.fallbacks) {
+    tried.push(fallback);
+    if (path.isAbsolute(fallback)) {
+      if (await exists(fallback)) return { role, ...spec, file: fallback, source: "path" };
+      continue;
+    }
+    const file = await fontconfigMatch(fallback);
+    if (file) return { role, ...spec, file, source: "fontconfig" };
+  }
+
+  throw new Error(
+    `Font "${role}" not found. Tried: ${tried.join(", ")}. ` +
+    `Add one to ${fontsDir}, install one of the fallbacks (fontconfig), or pass --font-${role} <path>.`
+  );
+}
+
+async function fontFaceCss(font) {
+  const ext = path.extname(font.file).toLowerCase();
+  const [mime, format] = FORMATS[ext] || FORMATS[".ttf"];
+  const data = await fs.readFile(font.file);
+  return `@font-face {
+      font-family: "${font.cssFamily}";
+      src: url(data:${mime};base64,${data.toString("base64")}) format("${format}");
+      font-weight: ${font.weight};
+    }`;
+}
+
+// Resolves every role and returns:
+//   { roles: { heading: { file, cssFamily, source, ... }, ... },
+//     files: { heading: "/path.ttf", ... },  // for ffmpeg drawtext
+//     css }                                    // @font-face rules for the page
+export async function loadFonts({ fontsDir = FONT_DEFAULTS.fontsDir, overrides = {} } = {}) {
+  const roles = {};
+  for (const [role, spec] of Object.entries(FONT_DEFAULTS.roles)) {
+    roles[role] = await resolveRole(role, spec, { fontsDir, override: overrides[role] });
+  }
+
+  const faces = await Promise.all(Object.values(roles).map(fontFaceCss));
+  return {
+    roles,
+    files: Object.fromEntries(Object.entries(roles).map(([role, font]) => [role, font.file])),
+    css: faces.join("\n    ")
+  };
+}
@@ -0,0 +1,127 @@
+import fs from "node:fs/promises";
+
+export const HISTORY_DEFAULTS = {
+  path: "./snippet-history.jsonl",
+  similarityThreshold: 0.8,
+  recentTopics: 15
+};
+
+const TOKEN_PATTERN = /\/\/[^\n]*|\/\*[\s\S]*?\*\/|`(?:\\[\s\S]|[^\\`])*`|"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?n?|\.\d+|[A-Za-z_$][\w$]*|\?\?=?|\?\.|\.\.\.|[=!]==|\*\*=?|&&=?|\|\|=?|<<=?|>>>?=?|=>|[-+*/%&|^<>!=]=?|\+\+|--|\S/g;
+
+// Names that carry meaning for a quiz and must survive renaming.
+const RESERVED = new Set([
+  "async", "await", "break", "case", "catch", "class", "const", "continue", "default", "delete",
+  "do", "else", "extends", "false", "finally", "for", "function", "if", "in", "instanceof", "let",
+  "new", "null", "of", "return", "static", "super", "switch", "this", "throw", "true", "try",
+  "typeof", "undefined", "var", "void", "while", "yield", "NaN", "Infinity",
+  "console", "Math", "Number", "String", "Boolean", "Array", "Object", "JSON", "Symbol", "BigInt",
+  "Date", "Promise", "Set", "Map", "WeakMap", "WeakSet", "RegExp", "Error", "TypeError",
+  "parseInt", "parseFloat", "isNaN", "isFinite", "setTimeout", "setInterval", "queueMicrotask"
+]);
+
+// Strips whitespace, comments and semicolons and renames local identifiers in order of
+// appearance, so `let a = [1] + 1` and `const x=[1]+1` share a fingerprint.
+export function normalizeCode(code) {
+  const tokens = code.match(TOKEN_PATTERN) || [];
+  const names = new Map();
+  const normalized = [];
+
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (token === ";" || token.startsWith("//") || token.startsWith("/*")) continue;
+
+    const isIdentifier = /^[A-Za-z_$][\w$]*$/.test(token);
+    const isProperty = normalized[normalized.length - 1] === "." || normalized[normalized.length - 1] === "?.";
+    if (isIdentifier && !isProperty && !RESERVED.has(token)) {
+      if (!names.has(token)) names.set(token, `$${names.size}`);
+      normalized.push(names.get(token));
+    } else if (token === "let" || token === "var") {
+      normalized.push("const");
+    } else {
+      normalized.push(token);
+    }
+  }
+
+  return normalized;
+}
+
+export function fingerprint(code) {
+  return normalizeCode(code).join(" ");
+}
+
+function shingles(tokens, size = 3) {
+  const set = new Set();
+  for (let i = 0; i + size <= tokens.length; i += 1) {
+    set.add(tokens.slice(i, i + size).join(" "));
+  }
+  if (set.size === 0 && tokens.length > 0) set.add(tokens.join(" "));
+  return set;
+}
+
+// Jaccard similarity of normalized token trigrams, from 0 to 1.
+export function similarity(a, b) {
+  const left = shingles(a.split(" "));
+  const right = shingles(b.split(" "));
+  let shared = 0;
+  for (const item of left) {
+    if (right.has(item)) shared += 1;
+  }
+  const total = left.size + right.size - shared;
+  return total === 0 ? 1 : shared / total;
+}
+
+// A `historyPath` of null keeps the history in memory for this run only.
+export async function loadHistory(historyPath = HISTORY_DEFAULTS.path) {
+  if (historyPath === null) return { path: null, entries: [] };
+
+  let raw = "";
+  try {
+    raw = await fs.readFile(historyPath, "utf8");
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+
+  const entries = raw
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+
+  return { path: historyPath, entries };
+}
+
+// Returns the closest earlier entry at or above the threshold, or null.
+export function findNearDuplicate(history, code, threshold = HISTORY_DEFAULTS.similarityThreshold) {
+  const print = fingerprint(code);
+  let best = null;
+
+  for (const entry of history.entries) {
+    const score = entry.fingerprint === print ? 1 : similarity(print, entry.fingerprint);
+    if (score >= threshold && (!best || score > best.score)) {
+      best = { entry, score };
+    }
+  }
+
+  return best;
+}
+
+export function recentTopics(history, limit = HISTORY_DEFAULTS.recentTopics) {
+  const topics = [];
+  for (let i = history.entries.length - 1; i >= 0 && topics.length < limit; i -= 1) {
+    const topic = history.entries[i].topic;
+    if (topic && !topics.includes(topic)) topics.push(topic);
+  }
+  return topics;
+}
+
+export async function recordSnippet(history, snippet) {
+  const entry = {
+    createdAt: new Date().toISOString(),
+    topic: snippet.topic || null,
+    difficulty: snippet.difficulty,
+    fingerprint: fingerprint(snippet.code),
+    code: snippet.code
+  };
+  history.entries.push(entry);
+  if (history.path) await fs.appendFile(history.path, `${JSON.stringify(entry)}\n`);
+  return entry;
+}
@@ -0,0 +1,18 @@
+// Languages a reel snippet can be written in. `shiki` is the highlighter
+// language, `printCall` is how the prompt asks for output and `runner` picks
+// the sandbox in src/sandbox.js.
+export const SNIPPET_LANGUAGES = {
+  javascript: { label: "JavaScript", shiki: "javascript", printCall: "console.log(...)", runner: "vm" },
+  typescript: { label: "TypeScript", shiki: "typescript", printCall: "console.log(...)", runner: "typescript" },
+  python: { label: "Python", shiki: "python", printCall: "print(...)", runner: "python" }
+};
+
+const ALIASES = { js: "javascript", ts: "typescript", py: "python" };
+
+export function resolveSnippetLanguage(name = "javascript") {
+  const id = ALIASES[String(name).toLowerCase()] || String(name).toLowerCase();
+  if (!SNIPPET_LANGUAGES[id]) {
+    throw new Error(`Unknown snippet language "${name}". Use one of: ${Object.keys(SNIPPET_LANGUAGES).join(", ")}`);
+  }
+  return { id, ...SNIPPET_LANGUAGES[id] };
+}
@@ -0,0 +1,82 @@
+// Output presets per platform. `safeZone` is the margin (px) that platform UI
+// covers: captions, buttons and the profile row on the vertical feeds.
+// Bitrates are the ceiling (kbps) for the capped-CRF encode.
+export const PRESETS = {
+  reels: {
+    width: 1080,
+    height: 1920,
+    maxDuration: 90,
+    videoBitrate: 8000,
+    audioBitrate: 192,
+    safeZone: { top: 220, right: 140, bottom: 420, left: 60 }
+  },
+  shorts: {
+    width: 1080,
+    height: 1920,
+    maxDuration: 60,
+    videoBitrate: 10000,
+    audioBitrate: 192,
+    safeZone: { top: 240, right: 190, bottom: 480, left: 60 }
+  },
+  tiktok: {
+    width: 1080,
+    height: 1920,
+    maxDuration: 600,
+    videoBitrate: 6000,
+    audioBitrate: 128,
+    safeZone: { top: 160, right: 160, bottom: 480, left: 60 }
+  },
+  square: {
+    width: 1080,
+    height: 1080,
+    maxDuration: 60,
+    videoBitrate: 6000,
+    audioBitrate: 192,
+    safeZone: { top: 0, right: 0, bottom: 0, left: 0 }
+  },
+  landscape: {
+    width: 1920,
+    height: 1080,
+    maxDuration: 60,
+    videoBitrate: 10000,
+    audioBitrate: 192,
+    safeZone: { top: 0, right: 0, bottom: 120, left: 0 },
+    maxFrameWidth: 1200 // keep the code window readable on a wide canvas
+  }
+};
+
+export const PRESET_ALIASES = {
+  "9:16": "reels",
+  "1:1": "square",
+  "16:9": "landscape"
+};
+
+export const PRESET_NAMES = Object.keys(PRESETS);
+
+// "reels,shorts,1:1" -> [{ name, ...preset }]. Duplicates are dropped.
+export function resolvePresets(list) {
+  const names = String(list).split(",").map((name) => name.trim()).filter(Boolean)
+    .map((name) => PRESET_ALIASES[name] || name);
+
+  const unknown = names.filter((name) => !PRESETS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown preset(s): ${unknown.join(", ")}. Use one of: ${[...PRESET_NAMES, ...Object.keys(PRESET_ALIASES)].join(", ")}`);
+  }
+  if (names.length === 0) {
+    throw new Error("No output preset given");
+  }
+
+  return [...new Set(names)].map((name) => ({ name, ...PRESETS[name] }));
+}
+
+// Page margins: the larger of the layout padding and the preset's safe zone.
+export function contentBox(preset, padding) {
+  const margin = Object.fromEntries(
+    ["top", "right", "bottom", "left"].map((side) => [side, Math.max(padding, preset.safeZone[side])])
+  );
+  const available = preset.width - margin.left - margin.right;
+  return {
+    margin,
+    frameWidth: Math.min(available, preset.maxFrameWidth ?? available)
+  };
+}
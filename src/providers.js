@@ -0,0 +1,120 @@
+import fs from "node:fs/promises";
+import { generateText } from "ai";
+import { createOpenAI, openai } from "@ai-sdk/openai";
+
+export const PROVIDER_DEFAULTS = {
+  provider: "openai",
+  openaiModel: "gpt-4o",
+  localModel: "llama3.1",
+  localBaseURL: "http://localhost:11434/v1",
+  fixturesPath: "./fixtures/snippets.jsonl"
+};
+
+// Every provider exposes the same shape:
+//   { name, model, generate({ prompt, purpose, code, maxTokens, temperature }) -> Promise<string> }
+// so callers only ever deal with the raw response text. `purpose` is "snippet"
+// (default) or "explanation", and an explanation request also passes the
+// snippet's `code`; model backends ignore both.
+
+function createModelProvider(name, model) {
+  return {
+    name,
+    model: model.modelId,
+    async generate({ prompt, maxTokens, temperature }) {
+      const response = await generateText({ model, prompt, maxTokens, temperature });
+      return response.text;
+    }
+  };
+}
+
+function createOpenAIProvider({ model }) {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error("Missing OPENAI_API_KEY");
+  }
+  return createModelProvider("openai", openai(model || PROVIDER_DEFAULTS.openaiModel));
+}
+
+// Any server speaking the OpenAI chat API (Ollama, LM Studio, llama.cpp, vLLM).
+function createLocalProvider({ model, baseURL, apiKey }) {
+  const local = createOpenAI({
+    baseURL: baseURL || PROVIDER_DEFAULTS.localBaseURL,
+    apiKey: apiKey || "local",
+    compatibility: "compatible"
+  });
+  return createModelProvider("local", local(model || PROVIDER_DEFAULTS.localModel));
+}
+
+// Serves prepared responses from a JSONL file, one per call, cycling when the
+// file runs out. A line with a string `response` field is returned verbatim,
+// any other object is returned as its JSON text. An `explanation` field is kept
+// back and answers the "explanation" call with that snippet's code, so reels
+// generated side by side each get their own.
+function fixtureCode(text) {
+  try {
+    return JSON.parse(text).code ?? null;
+  } catch {
+    return null;
+  }
+}
+
+async function createFixturesProvider({ fixturesPath }) {
+  const file = fixturesPath || PROVIDER_DEFAULTS.fixturesPath;
+  let raw;
+  try {
+    raw = await fs.readFile(file, "utf8");
+  } catch (err) {
+    throw new Error(`Failed to read fixtures file ${file}: ${err.message}`);
+  }
+
+  const fixtures = raw
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`Invalid JSON on line ${i + 1} of ${file}: ${err.message}`);
+      }
+    });
+
+  if (fixtures.length === 0) {
+    throw new Error(`No fixtures found in ${file}`);
+  }
+
+  let next = 0;
+  const explanations = new Map();
+  return {
+    name: "fixtures",
+    model: file,
+    async generate({ purpose = "snippet", code = null } = {}) {
+      if (purpose === "explanation") {
+        if (!explanations.has(code)) throw new Error(`Fixture has no explanation for this snippet in ${file}`);
+        return explanations.get(code);
+      }
+
+      const { explanation = null, ...fixture } = fixtures[next % fixtures.length];
+      next += 1;
+      const text = typeof fixture.response === "string" ? fixture.response : JSON.stringify(fixture);
+      const snippetCode = fixtureCode(text);
+      if (explanation && snippetCode !== null) explanations.set(snippetCode, explanation);
+      return text;
+    }
+  };
+}
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  fixtures: createFixturesProvider
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+export async function createProvider(options = {}) {
+  const name = options.provider || PROVIDER_DEFAULTS.provider;
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown provider "${name}". Use one of: ${PROVIDER_NAMES.join(", ")}`);
+  }
+  return factory(options);
+}
@@ -0,0 +1,93 @@
+import fs from "node:fs/promises";
+import vm from "node:vm";
+
+// Rules every generated snippet must pass before it is rendered. `maxColumns`
+// of null means "whatever fits in the code frame at the render font size".
+export const DEFAULT_QUALITY_RULES = {
+  minLines: 3,
+  maxLines: 5,
+  maxColumns: null,
+  charWidthRatio: 0.6,
+  tabSize: 2,
+  require: [
+    { pattern: "console\\.log\\(", reason: "must call console.log(...) at least once" }
+  ],
+  forbid: [
+    { pattern: "\\brequire\\s*\\(|^\\s*import\\b|\\bimport\\s*\\(", reason: "must not import modules" },
+    { pattern: "\\b(?:process|fetch|structuredClone|document|window|alert|prompt)\\b", reason: "must not use host or browser APIs" },
+    { pattern: "\\beval\\s*\\(|\\bnew\\s+Function\\b", reason: "must not use eval or new Function" },
+    { pattern: "Math\\.random|Date\\.now|new\\s+Date\\s*(?:\\(\\s*\\)|(?!\\s*\\())|(?<!new\\s+)\\bDate\\s*\\(", reason: "must not depend on randomness or the current time" }
+  ]
+};
+
+// What changes per snippet language (src/languages.js); everything else comes
+// from DEFAULT_QUALITY_RULES. Only JavaScript gets the parse check here, the
+// other languages fail in the sandbox instead.
+export const LANGUAGE_RULES = {
+  javascript: {},
+  typescript: {},
+  python: {
+    require: [
+      { pattern: "\\bprint\\(", reason: "must call print(...) at least once" }
+    ],
+    forbid: [
+      { pattern: "^\\s*(?:import|from)\\s+\\w", reason: "must not import modules" },
+      { pattern: "\\b(?:open|input|exec|eval|compile|__import__|globals|breakpoint)\\s*\\(", reason: "must not read input, touch files or use eval" },
+      { pattern: "\\b(?:id|hash)\\s*\\(", reason: "must not print id() or hash() values, they change between runs" }
+    ]
+  }
+};
+
+export async function loadQualityRules(rulesPath, language = "javascript") {
+  const base = { ...DEFAULT_QUALITY_RULES, ...LANGUAGE_RULES[language], language };
+  if (!rulesPath) return base;
+  let overrides;
+  try {
+    overrides = JSON.parse(await fs.readFile(rulesPath, "utf8"));
+  } catch (err) {
+    throw new Error(`Failed to load quality rules from ${rulesPath}: ${err.message}`);
+  }
+  return { ...base, ...overrides };
+}
+
+// Monospace columns that fit inside the code box of a frame `frameWidth` wide.
+export function maxColumnsFor({ frameWidth, codePadding, fontSize, charWidthRatio = DEFAULT_QUALITY_RULES.charWidthRatio }) {
+  return Math.floor((frameWidth - codePadding * 2) / (fontSize * charWidthRatio));
+}
+
+// Returns a list of human-readable failures; empty means the snippet passes.
+export function checkSnippetQuality(code, rules = DEFAULT_QUALITY_RULES, layout = {}) {
+  const failures = [];
+
+  if ((rules.language ?? "javascript") === "javascript") {
+    try {
+      new vm.Script(code, { filename: "snippet.js" });
+    } catch (err) {
+      failures.push(`does not parse as JavaScript: ${err.message}`);
+    }
+  }
+
+  const lines = code.replace(/\n+$/, "").split("\n");
+  if (lines.length < rules.minLines || lines.length > rules.maxLines) {
+    failures.push(`must be ${rules.minLines}-${rules.maxLines} lines, got ${lines.length}`);
+  }
+
+  const maxColumns = rules.maxColumns ?? (layout.frameWidth
+    ? maxColumnsFor({ ...layout, charWidthRatio: rules.charWidthRatio })
+    : Infinity);
+  lines.forEach((line, i) => {
+    const columns = line.replaceAll("\t", " ".repeat(rules.tabSize)).length;
+    if (columns > maxColumns) {
+      failures.push(`line ${i + 1} is ${columns} characters wide, the frame fits ${maxColumns}`);
+    }
+  });
+
+  for (const { pattern, reason } of rules.require) {
+    if (!new RegExp(pattern, "m").test(code)) failures.push(reason);
+  }
+  for (const { pattern, reason } of rules.forbid) {
+    if (new RegExp(pattern, "m").test(code)) failures.push(reason);
+  }
+
+  return failures;
+}
@@ -0,0 +1,83 @@
+// Multiple-choice quiz: the model offers 3-4 candidate outputs (the count is
+// checked by SNIPPET_SCHEMA) and the sandbox decides which one is right.
+
+export const QUIZ_DEFAULTS = {
+  maxOptionLength: 60
+};
+
+export const OPTION_LETTERS = ["A", "B", "C", "D"];
+
+// Formatting the model can't be expected to match exactly: space around each
+// line, and the spacing and quote style inside Node's inspect brackets
+// ("[ 'a', 'b' ]" from Node vs ["a","b"] from the model). Everything else,
+// including the spaces in "1 2", has to match.
+export function normalizeAnswer(text) {
+  const trimmed = String(text).split("\n").map((line) => line.trim()).join("\n");
+  let result = "";
+  let depth = 0;
+  let quote = null;
+  let escaped = false;
+  for (const char of trimmed) {
+    if (quote) {
+      if (escaped) escaped = false;
+      else if (char === "\\") escaped = true;
+      else if (char === quote) quote = null;
+      result += quote === null ? "'" : char;
+      continue;
+    }
+    if (depth > 0 && /\s/.test(char)) continue;
+    if (depth > 0 && (char === "'" || char === "\"")) {
+      quote = char;
+      result += "'";
+      continue;
+    }
+    if (char === "[" || char === "{") depth += 1;
+    if ((char === "]" || char === "}") && depth > 0) depth -= 1;
+    result += char;
+  }
+  return result;
+}
+
+// Problems with the options themselves, before anything is run.
+export function quizErrors(options, rules = QUIZ_DEFAULTS) {
+  if (!Array.isArray(options)) {
+    return ["\"options\" is required for a quiz"];
+  }
+
+  const errors = [];
+  options.forEach((option, i) => {
+    if (option.trim() === "") errors.push(`option ${i + 1} is empty`);
+    if (option.length > rules.maxOptionLength) {
+      errors.push(`option ${i + 1} is ${option.length} characters, at most ${rules.maxOptionLength} fit on a card`);
+    }
+  });
+  const seen = new Set(options.map(normalizeAnswer));
+  if (seen.size !== options.length) errors.push("\"options\" must all be different");
+  return errors;
+}
+
+// Checks the options against the verified output and shuffles them into
+// lettered cards. Throws unless exactly one option is the real output.
+export function buildQuiz(options, output, random = Math.random) {
+  const expected = normalizeAnswer(output);
+  const matches = options.filter((option) => normalizeAnswer(option) === expected);
+  if (matches.length === 0) {
+    throw new Error(`None of the options is the real output (${JSON.stringify(output)})`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`${matches.length} options match the real output`);
+  }
+
+  const shuffled = [...options];
+  for (let i = shuffled.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  const cards = shuffled.map((text, i) => ({
+    letter: OPTION_LETTERS[i],
+    text,
+    correct: normalizeAnswer(text) === expected
+  }));
+  return { options: cards, answer: cards.find((card) => card.correct).letter };
+}
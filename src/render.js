@@ -0,0 +1,637 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { getHighlighter, bundledThemes, bundledLanguages } from "shiki";
+import puppeteer from "puppeteer";
+import ffmpeg from "fluent-ffmpeg";
+import { renderSvg } from "./svg.js";
+
+// Shared rendering core: Shiki highlighting, the code frame (chrome bar plus
+// highlighted code) and the Puppeteer capture. scripts/render-snippet.js is a
+// thin CLI over renderSnippet(); main.js builds its reel page from the same
+// frame pieces.
+
+export const FONT_STACK = "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', 'Courier New', monospace";
+
+export const SNIPPET_DEFAULTS = {
+  lang: "javascript",
+  theme: "nord",
+  format: "png",
+  scale: 2,
+  quality: 90, // jpeg / webp
+  typing: {
+    fps: 15, // gif / mp4 typing preview
+    duration: 3,
+    hold: 1.5 // seconds the finished snippet stays at the end of the preview
+  }
+};
+
+// Frame geometry. `width` is the frame, `padding` the canvas around it.
+// `radius: null` takes the frame style's own radius.
+export const LAYOUT_DEFAULTS = {
+  width: 720,
+  padding: 64,
+  background: "radial-gradient(1200px circle at 10% 20%, #1f2937 0%, #0f172a 45%, #020617 100%)",
+  transparent: false, // no canvas background; PNG/WebP keep the alpha
+  font: FONT_STACK,
+  fontSize: 16,
+  lineHeight: 1.6,
+  codePadding: 24,
+  chromeHeight: 40,
+  dotSize: 10,
+  frameStyle: "macos",
+  title: null,
+  radius: null,
+  shadow: "0 30px 60px rgba(2, 6, 23, 0.6)",
+  fit: null // { minFontSize, maxFontSize }: pick the font size from the rendered code
+};
+
+// Font size limits for fitCode() when a caller turns fitting on without its
+// own limits.
+export const FIT_DEFAULTS = {
+  minFontSize: 12,
+  maxFontSize: 32
+};
+
+// Window chrome per frame style: `controls` are the macOS dots on the left
+// or the Windows buttons on the right, `prompt` prefixes the first line.
+export const FRAME_STYLES = {
+  macos: { chrome: true, controls: "dots", radius: 16, frameBackground: "#0b1120" },
+  windows: { chrome: true, controls: "buttons", radius: 8, frameBackground: "#0b1120" },
+  card: { chrome: false, controls: null, radius: 20, frameBackground: "#0b1120" },
+  terminal: { chrome: true, controls: "dots", radius: 10, frameBackground: "#010409", prompt: "$" }
+};
+
+export function resolveFrameStyle(name = LAYOUT_DEFAULTS.frameStyle) {
+  if (!FRAME_STYLES[name]) {
+    throw new Error(`Unknown frame style "${name}". Use one of: ${Object.keys(FRAME_STYLES).join(", ")}`);
+  }
+  return { name, ...FRAME_STYLES[name] };
+}
+
+export const FORMATS = ["png", "jpeg", "webp", "pdf", "svg", "gif", "mp4"];
+const FORMAT_ALIASES = { jpg: "jpeg" };
+
+const LANGUAGE_ALIASES = new Map([
+  ["js", "javascript"],
+  ["ts", "typescript"],
+  ["py", "python"],
+  ["rb", "ruby"],
+  ["sh", "bash"]
+]);
+
+export function resolveFormat(requested) {
+  const format = FORMAT_ALIASES[String(requested).toLowerCase()] || String(requested).toLowerCase();
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${requested}". Use one of: ${FORMATS.join(", ")}`);
+  }
+  return format;
+}
+
+export function resolveTheme(requested, fallback = SNIPPET_DEFAULTS.theme) {
+  const available = Object.keys(bundledThemes);
+  if (available.includes(requested)) return requested;
+  if (available.includes(fallback)) return fallback;
+  return available[0] || fallback;
+}
+
+export function resolveLanguage(requested, fallback = SNIPPET_DEFAULTS.lang) {
+  const available = Object.keys(bundledLanguages);
+  const normalized = LANGUAGE_ALIASES.get(requested) || requested;
+  if (available.includes(normalized)) return normalized;
+  if (available.includes(fallback)) return fallback;
+  return available[0] || fallback;
+}
+
+// One highlighter per theme/language pair, least recently used first. Past
+// MAX_HIGHLIGHTERS the oldest is dropped and disposed, so a long-running
+// server doesn't keep every pair a client ever asked for.
+const MAX_HIGHLIGHTERS = 16;
+const highlighters = new Map();
+
+export function highlighterFor(theme, lang) {
+  const key = `${theme}\u0000${lang}`;
+  let highlighter = highlighters.get(key);
+  if (highlighter) {
+    highlighters.delete(key);
+  } else {
+    // Shiki warns on every tenth instance; disposing the dropped ones is ours.
+    highlighter = getHighlighter({ themes: [theme], langs: [lang], warnings: false });
+  }
+  highlighters.set(key, highlighter);
+
+  if (highlighters.size > MAX_HIGHLIGHTERS) {
+    const [oldestKey, oldest] = highlighters.entries().next().value;
+    highlighters.delete(oldestKey);
+    // Callers awaiting it already resume first and use it synchronously.
+    oldest.then((evicted) => evicted.dispose(), () => {});
+  }
+  return highlighter;
+}
+
+// "2,4-5" -> [2, 4, 5] (1-based). Lines past `lineCount` are an error.
+export function parseLineRanges(spec, lineCount = Infinity) {
+  if (spec === undefined || spec === null || spec === "") return [];
+  const lines = new Set();
+  for (const part of String(spec).split(",").map((item) => item.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid line range "${part}". Use e.g. 2,4-5`);
+    }
+    const from = Number(match[1]);
+    const to = Number(match[2] ?? match[1]);
+    if (from < 1 || to < from || to > lineCount) {
+      throw new Error(`Line range "${part}" is outside the ${lineCount} line(s) of code`);
+    }
+    for (let line = from; line <= to; line += 1) lines.add(line);
+  }
+  return [...lines].sort((a, b) => a - b);
+}
+
+// Splits unified-diff style markers off the code. Every line's first
+// character is a marker ("+", "-" or a space for context).
+// Returns { code, marks, after }: `code` without markers, `marks[i]` as
+// "add" | "remove" | null, and `after` the code with removed lines dropped.
+export function parseDiff(code) {
+  const lines = code.replace(/\n+$/, "").split("\n");
+  const marks = lines.map((line) => (line[0] === "+" ? "add" : line[0] === "-" ? "remove" : null));
+  const stripped = lines.map((line) => (/^[+\- ]/.test(line) ? line.slice(1) : line));
+  return {
+    code: stripped.join("\n"),
+    marks,
+    after: stripped.filter((_, i) => marks[i] !== "remove").join("\n")
+  };
+}
+
+// Per-line emphasis for `annotations` ({ highlight: "2,4-5", focus, diff }):
+// { code, lines: [{ highlighted, dimmed, diff }] }, with diff markers already
+// taken off `code`.
+export function annotateLines(code, { highlight = null, focus = false, diff = false } = {}) {
+  const parsed = diff ? parseDiff(code) : { code, marks: [] };
+  const lineCount = parsed.code.split("\n").length;
+  const highlighted = new Set(parseLineRanges(highlight, lineCount));
+  return {
+    code: parsed.code,
+    lines: Array.from({ length: lineCount }, (_, i) => ({
+      highlighted: highlighted.has(i + 1),
+      dimmed: focus && highlighted.size > 0 && !highlighted.has(i + 1),
+      diff: parsed.marks[i] || null
+    }))
+  };
+}
+
+function annotationTransformer(lines) {
+  return {
+    pre(node) {
+      if (lines.some((line) => line.diff)) this.addClassToHast(node, "has-diff");
+    },
+    line(node, number) {
+      const line = lines[number - 1];
+      if (!line) return;
+      if (line.highlighted) this.addClassToHast(node, "highlighted");
+      if (line.dimmed) this.addClassToHast(node, "dimmed");
+      if (line.diff) this.addClassToHast(node, ["diff", line.diff]);
+    }
+  };
+}
+
+// Highlighted HTML for `code`. With `annotations` the lines get the
+// highlighted / dimmed / diff classes styled by frameCss.
+export async function highlight(code, { lang = SNIPPET_DEFAULTS.lang, theme = SNIPPET_DEFAULTS.theme, annotations = null } = {}) {
+  const highlighter = await highlighterFor(theme, lang);
+  if (!annotations) {
+    return highlighter.codeToHtml(code, { lang, theme });
+  }
+  const annotated = annotateLines(code, annotations);
+  return highlighter.codeToHtml(annotated.code, { lang, theme, transformers: [annotationTransformer(annotated.lines)] });
+}
+
+export function escapeHtml(value) {
+  return String(value)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll("\"", "&quot;")
+    .replaceAll("'", "&#39;");
+}
+
+// CSS for .frame, .chrome and .code, shared by the snippet and reel pages.
+export function frameCss(layout) {
+  const { width, font, fontSize, lineHeight, codePadding, chromeHeight, dotSize, frameStyle, radius, shadow } = { ...LAYOUT_DEFAULTS, ...layout };
+  const style = resolveFrameStyle(frameStyle);
+  return `:root {
+      --frame-radius: ${radius ?? style.radius}px;
+      --frame-bg: ${style.frameBackground};
+      --chrome-bg: linear-gradient(90deg, #0f172a 0%, #111827 100%);
+      --chrome-border: rgba(148, 163, 184, 0.16);
+      --shadow: ${shadow};
+    }
+    .frame {
+      width: ${width}px;
+      background: var(--frame-bg);
+      border-radius: var(--frame-radius);
+      box-shadow: var(--shadow);
+      overflow: hidden;
+      border: 1px solid rgba(148, 163, 184, 0.18);
+      font-family: ${font};
+    }
+    .chrome {
+      height: ${chromeHeight}px;
+      display: flex;
+      align-items: center;
+      justify-content: flex-start;
+      padding: 0 ${Math.round(chromeHeight * 0.4)}px;
+      gap: ${Math.round(chromeHeight * 0.3)}px;
+      background: var(--chrome-bg);
+      border-bottom: 1px solid var(--chrome-border);
+      color: #cbd5f5;
+      font-size: ${Math.round(chromeHeight * 0.3)}px;
+      letter-spacing: 0.06em;
+      text-transform: uppercase;
+    }
+    .chrome { position: relative; }
+    .chrome .title {
+      position: absolute;
+      left: 0;
+      right: 0;
+      text-align: center;
+      text-transform: none;
+      letter-spacing: 0.02em;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      padding: 0 ${Math.round(chromeHeight * 2.4)}px;
+    }
+    .frame.windows .chrome .title { position: static; padding: 0; text-align: left; flex: 1; }
+    .buttons { display: flex; margin-left: auto; gap: ${Math.round(chromeHeight * 0.5)}px; color: #94a3b8; font-size: ${Math.round(chromeHeight * 0.35)}px; }
+    .frame.terminal .code .line:first-child::before { content: "${style.prompt || ""} "; color: #4ade80; }
+    .dots { display: flex; gap: ${Math.round(dotSize * 0.8)}px; }
+    .dot { width: ${dotSize}px; height: ${dotSize}px; border-radius: 999px; }
+    .dot.red { background: #f87171; }
+    .dot.yellow { background: #facc15; }
+    .dot.green { background: #4ade80; }
+    .code {
+      padding: ${codePadding}px;
+      font-size: ${fontSize}px;
+      line-height: ${lineHeight};
+      color: #e2e8f0;
+    }
+    .code pre,
+    .code code {
+      margin: 0;
+      white-space: pre;
+      font-family: inherit;
+    }
+    .code pre.shiki {
+      background: transparent !important;
+      padding: 0 !important;
+    }
+    .code .line.highlighted,
+    .code .line.diff {
+      display: inline-block;
+      width: calc(100% + ${codePadding * 2}px);
+      margin: 0 -${codePadding}px;
+      padding: 0 ${codePadding}px;
+    }
+    .code .line.highlighted {
+      background: rgba(129, 140, 248, 0.18);
+      box-shadow: inset 4px 0 0 #818cf8;
+    }
+    .code .line.dimmed { opacity: 0.35; }
+    .code .has-diff .line::before {
+      content: " ";
+      display: inline-block;
+      width: 1.5ch;
+    }
+    .code .line.diff.add { background: rgba(74, 222, 128, 0.14); }
+    .code .line.diff.add::before { content: "+"; color: #4ade80; }
+    .code .line.diff.remove { background: rgba(248, 113, 113, 0.14); }
+    .code .line.diff.remove::before { content: "-"; color: #f87171; }
+    .code.wrap pre,
+    .code.wrap code {
+      white-space: pre-wrap;
+      overflow-wrap: anywhere;
+    }
+    .code.wrap .line {
+      position: relative;
+      display: inline-block;
+      width: 100%;
+      padding-left: 2ch;
+      text-indent: -2ch;
+    }
+    .code.wrap .line.highlighted,
+    .code.wrap .line.diff {
+      width: calc(100% + ${codePadding * 2}px);
+      padding-left: calc(${codePadding}px + 2ch);
+    }
+    .code .wrap-marker {
+      position: absolute;
+      left: 0;
+      text-indent: 0;
+      color: #64748b;
+    }
+    .code .line.highlighted .wrap-marker,
+    .code .line.diff .wrap-marker { left: ${codePadding}px; }
+    .code .wrap-marker::before { content: "\\21AA"; }`;
+}
+
+function chromeHtml(style, title) {
+  if (!style.chrome) return "";
+  const label = title ? `<div class="title">${escapeHtml(title)}</div>` : "";
+  if (style.controls === "buttons") {
+    return `
+    <div class="chrome">
+      ${label}
+      <div class="buttons"><span>&#x2500;</span><span>&#x2610;</span><span>&#x2715;</span></div>
+    </div>`;
+  }
+  return `
+    <div class="chrome">
+      <div class="dots">
+        <span class="dot red"></span>
+        <span class="dot yellow"></span>
+        <span class="dot green"></span>
+      </div>
+      ${label}
+    </div>`;
+}
+
+export function frameHtml(codeHtml, { layer = null, frameStyle = LAYOUT_DEFAULTS.frameStyle, title = null } = {}) {
+  const style = resolveFrameStyle(frameStyle);
+  return `<div class="frame ${style.name}"${layer ? ` data-layer="${layer}"` : ""}>${chromeHtml(style, title)}
+    <div class="code">
+      ${codeHtml}
+    </div>
+  </div>`;
+}
+
+// Standalone snippet page: the frame on a padded canvas.
+export function buildSnippetHtml({ codeHtml, layout = {} }) {
+  const { padding, background, transparent, frameStyle, title } = { ...LAYOUT_DEFAULTS, ...layout };
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>snippet</title>
+  <style>
+    * { box-sizing: border-box; }
+    body {
+      margin: 0;
+      min-height: 100vh;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: ${transparent ? "transparent" : "#0b1120"};
+    }
+    .canvas {
+      display: inline-block;
+      padding: ${padding}px;
+      background: ${transparent ? "transparent" : background};
+      border-radius: 28px;
+    }
+    ${frameCss(layout)}
+  </style>
+</head>
+<body>
+  <div class="canvas">
+    ${frameHtml(codeHtml, { frameStyle, title })}
+  </div>
+</body>
+</html>`;
+}
+
+// Sets the .code font size to the largest whole pixel size in
+// [minFontSize, maxFontSize] where every line fits the frame and, with
+// `bounds`, every frame and [data-layer] element stays between bounds.top and
+// bounds.bottom. When nothing fits, the code is set at minFontSize and long
+// lines soft-wrap, each continuation row marked with an arrow.
+export async function fitCode(page, { minFontSize = FIT_DEFAULTS.minFontSize, maxFontSize = FIT_DEFAULTS.maxFontSize, bounds = null } = {}) {
+  return page.evaluate(({ min, max, box }) => {
+    const code = document.querySelector(".code");
+    const pre = code?.querySelector("pre");
+    if (!pre) return null;
+    const lines = [...code.querySelectorAll(".line")];
+
+    // Range rects cover the text only, not the padding of highlighted lines.
+    const fits = () => {
+      const right = pre.getBoundingClientRect().right + 0.5;
+      const range = document.createRange();
+      const wide = lines.some((line) => {
+        range.selectNodeContents(line);
+        return range.getBoundingClientRect().right > right;
+      });
+      if (wide) return false;
+      if (!box) return true;
+      return [...document.querySelectorAll(".frame, [data-layer]")].every((element) => {
+        const rect = element.getBoundingClientRect();
+        return rect.top >= box.top - 0.5 && rect.bottom <= box.bottom + 0.5;
+      });
+    };
+
+    let low = Math.ceil(min);
+    let high = Math.floor(max);
+    let best = null;
+    while (low <= high) {
+      const size = Math.floor((low + high) / 2);
+      code.style.fontSize = `${size}px`;
+      if (fits()) {
+        best = size;
+        low = size + 1;
+      } else {
+        high = size - 1;
+      }
+    }
+    if (best !== null) {
+      code.style.fontSize = `${best}px`;
+      return { fontSize: best, wrapped: 0 };
+    }
+
+    code.style.fontSize = `${min}px`;
+    code.classList.add("wrap");
+    const rowHeight = parseFloat(getComputedStyle(pre).lineHeight);
+    let wrapped = 0;
+    for (const line of lines) {
+      const rows = Math.round(line.getBoundingClientRect().height / rowHeight);
+      if (rows < 2) continue;
+      wrapped += 1;
+      for (let row = 1; row < rows; row += 1) {
+        const marker = document.createElement("span");
+        marker.className = "wrap-marker";
+        marker.style.top = `${row * rowHeight}px`;
+        line.append(marker);
+      }
+    }
+    return { fontSize: min, wrapped };
+  }, { min: minFontSize, max: maxFontSize, box: bounds });
+}
+
+// Grows the viewport to the rendered canvas so the whole frame is on screen.
+async function fitViewport(page, { width, scale }) {
+  const height = await page.evaluate(() => Math.ceil(document.querySelector(".canvas").getBoundingClientRect().height));
+  const viewport = page.viewport();
+  if (height > viewport.height) {
+    await page.setViewport({ width, height, deviceScaleFactor: scale });
+  }
+}
+
+// The frame itself, or the whole canvas for a transparent render so the
+// rounded corners and the shadow land on alpha.
+async function frameClip(page, selector = ".frame") {
+  const clip = await page.evaluate((target) => {
+    const frame = document.querySelector(target);
+    if (!frame) return null;
+    const rect = frame.getBoundingClientRect();
+    return {
+      x: Math.floor(rect.x),
+      y: Math.floor(rect.y),
+      width: Math.ceil(rect.width),
+      height: Math.ceil(rect.height)
+    };
+  }, selector);
+  if (!clip) {
+    throw new Error("Failed to locate canvas for screenshot.");
+  }
+  return clip;
+}
+
+// Prints only the frame: the canvas padding and page background are dropped
+// and the PDF page is sized to the frame.
+async function renderPdf(page) {
+  await page.addStyleTag({
+    content: `@page { margin: 0; }
+      body { display: block !important; min-height: 0 !important; background: none !important; }
+      .canvas { display: block !important; padding: 0 !important; background: none !important; }`
+  });
+  const { width, height } = await frameClip(page);
+  return page.pdf({ width: `${width}px`, height: `${height}px`, printBackground: true, pageRanges: "1" });
+}
+
+// Cuts the highlighted code down to its first `count` characters, keeping
+// the newlines so the frame keeps its final size.
+async function showTypedCharacters(page, count) {
+  await page.evaluate((visible) => {
+    if (!window.__typingNodes) {
+      window.__typingNodes = [...document.querySelectorAll(".code .line")].flatMap((line) => {
+        const walker = document.createTreeWalker(line, NodeFilter.SHOW_TEXT);
+        const nodes = [];
+        while (walker.nextNode()) nodes.push({ node: walker.currentNode, text: walker.currentNode.textContent });
+        return nodes;
+      });
+    }
+    let remaining = visible;
+    for (const item of window.__typingNodes) {
+      const take = Math.max(0, Math.min(item.text.length, remaining));
+      item.node.textContent = item.text.slice(0, take);
+      remaining -= take;
+    }
+  }, count);
+}
+
+function encodeFrames(pattern, output, format, { fps, hold }) {
+  const pad = `tpad=stop_mode=clone:stop_duration=${hold}`;
+  const command = ffmpeg().input(pattern).inputOptions([`-framerate ${fps}`]);
+
+  if (format === "gif") {
+    command
+      .complexFilter([`[0:v]${pad},split[frames][copy]`, "[copy]palettegen[palette]", "[frames][palette]paletteuse[out]"])
+      .outputOptions(["-map [out]", "-loop 0"]);
+  } else {
+    command
+      .videoFilters([pad, "scale=trunc(iw/2)*2:trunc(ih/2)*2"])
+      .outputOptions(["-c:v libx264", "-pix_fmt yuv420p", "-movflags +faststart"]);
+  }
+
+  return new Promise((resolve, reject) => {
+    command
+      .output(output)
+      .on("end", resolve)
+      .on("error", (err) => reject(new Error(`Failed to encode ${format}: ${err.message}`)))
+      .run();
+  });
+}
+
+// Screenshots the frame while the code types itself in, then encodes the
+// frames as a GIF or MP4.
+async function renderTypingPreview(page, clip, code, format, { fps, duration, hold }) {
+  const total = code.replace(/\n/g, "").length;
+  const frameCount = Math.max(1, Math.round(duration * fps));
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "snippet-frames-"));
+  const output = path.join(workDir, `preview.${format}`);
+
+  try {
+    // A reused page keeps window globals across setContent.
+    await page.evaluate(() => { delete window.__typingNodes; });
+    for (let frame = 0; frame < frameCount; frame += 1) {
+      await showTypedCharacters(page, Math.round(total * (frame + 1) / frameCount));
+      await page.screenshot({ path: path.join(workDir, `frame_${String(frame).padStart(4, "0")}.png`), clip });
+    }
+    await encodeFrames(path.join(workDir, "frame_%04d.png"), output, format, { fps, hold });
+    return await fs.readFile(output);
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+// Renders `code` and returns the file contents as a Buffer. Pass `browser`
+// (or a ready `page`) to reuse a running Chromium; otherwise one is launched
+// and closed for this call. SVG needs no browser at all.
+export async function renderSnippet({
+  code,
+  lang = SNIPPET_DEFAULTS.lang,
+  theme = SNIPPET_DEFAULTS.theme,
+  format = SNIPPET_DEFAULTS.format,
+  layout = {},
+  scale = SNIPPET_DEFAULTS.scale,
+  quality = SNIPPET_DEFAULTS.quality,
+  typing = {},
+  annotations = null,
+  browser = null,
+  page = null
+}) {
+  const resolvedFormat = resolveFormat(format);
+  const resolvedLang = resolveLanguage(lang);
+  const resolvedTheme = resolveTheme(theme);
+  const frame = { ...LAYOUT_DEFAULTS, ...layout };
+
+  if (resolvedFormat === "svg") {
+    const highlighter = await highlighterFor(resolvedTheme, resolvedLang);
+    const annotated = annotateLines(code, annotations || {});
+    const { tokens } = highlighter.codeToTokens(annotated.code, { lang: resolvedLang, theme: resolvedTheme });
+    return Buffer.from(renderSvg({ tokens, lines: annotated.lines, ...frame, style: resolveFrameStyle(frame.frameStyle) }));
+  }
+
+  // What ends up on screen, without diff markers.
+  const shown = annotations?.diff ? parseDiff(code).code : code;
+  const width = Math.max(frame.width + frame.padding * 2, 320);
+
+  const html = buildSnippetHtml({ codeHtml: await highlight(code, { lang: resolvedLang, theme: resolvedTheme, annotations }), layout: frame });
+  const ownBrowser = page || browser ? null : await puppeteer.launch({ headless: "new" });
+  const target = page || await (browser || ownBrowser).newPage();
+
+  try {
+    await target.setViewport({ width, height: 480, deviceScaleFactor: scale });
+    await target.setContent(html, { waitUntil: "load" });
+    if (frame.fit) {
+      await fitCode(target, { ...FIT_DEFAULTS, ...frame.fit });
+    }
+    await fitViewport(target, { width, scale });
+    const clip = await frameClip(target, frame.transparent ? ".canvas" : ".frame");
+
+    if (resolvedFormat === "pdf") {
+      return Buffer.from(await renderPdf(target));
+    }
+    if (resolvedFormat === "gif" || resolvedFormat === "mp4") {
+      return await renderTypingPreview(target, clip, shown, resolvedFormat, { ...SNIPPET_DEFAULTS.typing, ...typing });
+    }
+    return Buffer.from(await target.screenshot({
+      clip,
+      type: resolvedFormat,
+      omitBackground: frame.transparent,
+      ...(resolvedFormat === "png" ? {} : { quality: Math.min(100, Math.max(0, quality)) })
+    }));
+  } finally {
+    if (!page) await target.close();
+    if (ownBrowser) await ownBrowser.close();
+  }
+}
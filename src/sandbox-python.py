@@ -0,0 +1,42 @@
+# Runs a quiz snippet from stdin with no file, process or network access.
+# Started by runPython in src/sandbox.js as `python3 -I -X utf8 <this file>
+# <cpu seconds>` in an empty temp folder with a stripped environment.
+#
+# Everything the prelude needs is loaded before the audit hook goes in. After
+# that, importing a module that isn't loaded yet, open(), and any os,
+# subprocess, socket or ctypes call raise. The hook keeps no state the snippet
+# could change, and swapping its code is itself blocked. The resource limits
+# cap memory, CPU time, file writes, open files and new processes.
+import resource
+import sys
+
+code = sys.stdin.read()
+program = compile(code, "snippet.py", "exec")
+
+cpu_seconds = int(sys.argv[1])
+for limit, value in (
+    (resource.RLIMIT_AS, 512 * 1024 * 1024),
+    (resource.RLIMIT_CPU, cpu_seconds),
+    (resource.RLIMIT_FSIZE, 0),
+    (resource.RLIMIT_NOFILE, 16),
+    (resource.RLIMIT_NPROC, 0),
+):
+    resource.setrlimit(limit, (value, value))
+
+
+def audit(event, args):
+    if event in ("open", "import", "object.__setattr__", "object.__delattr__") or event.startswith(
+        ("os.", "subprocess.", "_posixsubprocess.", "socket.", "ctypes.", "shutil.", "pty.")
+    ):
+        raise RuntimeError(f"{event} is not allowed in the sandbox")
+
+
+sys.addaudithook(audit)
+del audit
+
+try:
+    exec(program, {"__name__": "__main__"})
+except Exception as err:
+    # Tracebacks would try to open snippet.py for the source line.
+    print(f"{type(err).__name__}: {err}", file=sys.stderr)
+    sys.exit(1)
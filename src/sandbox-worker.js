@@ -0,0 +1,100 @@
+import vm from "node:vm";
+import { formatWithOptions } from "node:util";
+import { parentPort, workerData } from "node:worker_threads";
+
+// The snippet must never get hold of an object from this worker's realm: any
+// of them leads through `.constructor.constructor` to the worker's Function
+// and from there to `process`. So the context starts from a null-prototype
+// object, its own eval and Function are switched off, and the few globals a
+// quiz snippet plausibly needs are built inside the context around host
+// functions it can't reach. Nothing from the host is returned or thrown into
+// the snippet.
+const context = vm.createContext(Object.create(null), {
+  codeGeneration: { strings: false, wasm: false }
+});
+
+const installGlobals = new vm.Script(`(function (host) {
+  "use strict";
+  const call = (fn, args) => {
+    try {
+      return fn(...args);
+    } catch (err) {
+      throw new Error(String(err && err.message));
+    }
+  };
+
+  const log = (...args) => {
+    call(host.log, args);
+  };
+  globalThis.console = { log, info: log, warn: log, error: log, debug: log };
+
+  // Host timer handles stay in here; the snippet only sees numeric ids.
+  const timers = new Map();
+  let nextId = 1;
+  const schedule = (set, repeat) => (callback, delay = 0, ...args) => {
+    if (typeof callback !== "function") throw new TypeError("The callback must be a function");
+    const id = nextId++;
+    timers.set(id, call(set, [() => {
+      if (!repeat) timers.delete(id);
+      callback(...args);
+    }, Number(delay)]));
+    return id;
+  };
+  const cancel = (clear) => (id) => {
+    if (!timers.has(id)) return;
+    call(clear, [timers.get(id)]);
+    timers.delete(id);
+  };
+
+  globalThis.setTimeout = schedule(host.setTimeout, false);
+  globalThis.setInterval = schedule(host.setInterval, true);
+  globalThis.setImmediate = (callback, ...args) => schedule(host.setImmediate, false)(callback, 0, ...args);
+  globalThis.clearTimeout = cancel(host.clearTimeout);
+  globalThis.clearInterval = cancel(host.clearInterval);
+  globalThis.clearImmediate = cancel(host.clearImmediate);
+
+  // Reading the clock would pin today's date as the answer, so Date only
+  // works with an explicit time.
+  const RealDate = Date;
+  const readsClock = () => {
+    throw new Error("Snippets must not read the current time");
+  };
+  function SandboxDate(...args) {
+    if (!new.target || args.length === 0) readsClock();
+    return Reflect.construct(RealDate, args, new.target);
+  }
+  SandboxDate.prototype = RealDate.prototype;
+  SandboxDate.UTC = RealDate.UTC;
+  SandboxDate.parse = RealDate.parse;
+  SandboxDate.now = readsClock;
+  Object.defineProperty(RealDate.prototype, "constructor", { value: SandboxDate, writable: true, configurable: true });
+  globalThis.Date = SandboxDate;
+
+  globalThis.queueMicrotask = (callback) => {
+    if (typeof callback !== "function") throw new TypeError("The callback must be a function");
+    Promise.resolve().then(() => callback());
+  };
+})`, { filename: "sandbox-globals.js" }).runInContext(context);
+
+// customInspect is off so a snippet's inspect hook is never handed util.inspect.
+function emit(...args) {
+  parentPort.postMessage({ type: "log", line: formatWithOptions({ colors: false, customInspect: false }, ...args) });
+}
+
+installGlobals({
+  log: emit,
+  setTimeout,
+  setInterval,
+  setImmediate: (callback) => setImmediate(callback),
+  clearTimeout,
+  clearInterval,
+  clearImmediate
+});
+
+process.on("unhandledRejection", (reason) => {
+  throw reason;
+});
+
+new vm.Script(workerData.code, { filename: "snippet.js" }).runInContext(context, {
+  timeout: workerData.timeoutMs
+});
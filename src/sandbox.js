@@ -0,0 +1,208 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { Worker } from "node:worker_threads";
+import { spawn } from "node:child_process";
+
+const WORKER_URL = new URL("./sandbox-worker.js", import.meta.url);
+const PYTHON_PRELUDE = fileURLToPath(new URL("./sandbox-python.py", import.meta.url));
+
+export const SANDBOX_DEFAULTS = {
+  timeoutMs: 2000,
+  runs: 2,
+  runner: "vm", // see SNIPPET_LANGUAGES in src/languages.js
+  python: "python3"
+};
+
+function describeError(err) {
+  if (err && typeof err.message === "string") {
+    return err.name ? `${err.name}: ${err.message}` : err.message;
+  }
+  return String(err);
+}
+
+// Runs JavaScript once in a fresh worker + vm context and collects every
+// console line.
+function runInWorker(code, timeoutMs) {
+  return new Promise((resolve) => {
+    const lines = [];
+    let error = null;
+    let settled = false;
+
+    const worker = new Worker(WORKER_URL, {
+      workerData: { code, timeoutMs },
+      resourceLimits: { maxOldGenerationSizeMb: 64 },
+      stdout: true,
+      stderr: true
+    });
+
+    const finish = () => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve({ lines, error });
+    };
+
+    const timer = setTimeout(() => {
+      error = `Timed out after ${timeoutMs}ms`;
+      worker.terminate().finally(finish);
+    }, timeoutMs);
+
+    worker.on("message", (message) => {
+      if (message.type === "log") lines.push(message.line);
+    });
+    worker.on("error", (err) => {
+      error = describeError(err);
+    });
+    worker.on("exit", finish);
+  });
+}
+
+// Parsed lib .d.ts files, shared by every TypeScript snippet in the process.
+const TS_SNIPPET_FILE = "/snippet.ts";
+const tsLibFiles = new Map();
+
+// Full type check of the snippet on its own. It is compiled as a module so
+// its top-level names don't clash with the DOM globals that declare `console`.
+function typeCheck(ts, code) {
+  const options = {
+    target: ts.ScriptTarget.ES2022,
+    lib: ["lib.es2022.d.ts", "lib.dom.d.ts"],
+    moduleDetection: ts.ModuleDetectionKind.Force,
+    strict: true,
+    noEmit: true,
+    types: []
+  };
+  const host = ts.createCompilerHost(options);
+  const readLib = host.getSourceFile;
+  host.getSourceFile = (fileName, languageVersion, ...rest) => {
+    if (fileName === TS_SNIPPET_FILE) return ts.createSourceFile(fileName, code, languageVersion);
+    if (!tsLibFiles.has(fileName)) tsLibFiles.set(fileName, readLib.call(host, fileName, languageVersion, ...rest));
+    return tsLibFiles.get(fileName);
+  };
+  const fileExists = host.fileExists;
+  host.fileExists = (fileName) => fileName === TS_SNIPPET_FILE || fileExists.call(host, fileName);
+
+  const program = ts.createProgram([TS_SNIPPET_FILE], options, host);
+  const [first] = ts.getPreEmitDiagnostics(program);
+  if (!first) return;
+  const message = ts.flattenDiagnosticMessageText(first.messageText, " ");
+  if (first.file && first.start !== undefined) {
+    const { line } = first.file.getLineAndCharacterOfPosition(first.start);
+    throw new Error(`TypeScript error on line ${line + 1}: ${message}`);
+  }
+  throw new Error(`TypeScript error: ${message}`);
+}
+
+// TypeScript is type-checked and transpiled with the `typescript` package
+// (loaded only when a TypeScript snippet comes along) and then runs like
+// JavaScript.
+async function transpileTypeScript(code) {
+  let ts;
+  try {
+    ts = (await import("typescript")).default;
+  } catch {
+    throw new Error("TypeScript snippets need the typescript package (npm install typescript)");
+  }
+  typeCheck(ts, code);
+  const { outputText } = ts.transpileModule(code, {
+    compilerOptions: { target: ts.ScriptTarget.ES2022, module: ts.ModuleKind.None }
+  });
+  return outputText;
+}
+
+// Python runs with the code on stdin under src/sandbox-python.py, which
+// blocks file, process and network access with an audit hook and sets
+// resource limits. The interpreter itself is isolated (-I: no site packages,
+// user paths or PYTHON* variables), starts in an empty temp folder and only
+// gets PATH from the environment.
+async function runPython(code, timeoutMs, python) {
+  let workDir;
+  try {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), "reel-python-"));
+  } catch (err) {
+    return { lines: [], error: describeError(err) };
+  }
+  try {
+    return await runPythonIn(workDir, code, timeoutMs, python);
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+function runPythonIn(workDir, code, timeoutMs, python) {
+  return new Promise((resolve) => {
+    let stdout = "";
+    let stderr = "";
+    let error = null;
+
+    const cpuSeconds = String(Math.ceil(timeoutMs / 1000) + 1);
+    const child = spawn(python, ["-I", "-X", "utf8", PYTHON_PRELUDE, cpuSeconds], {
+      cwd: workDir,
+      env: { PATH: process.env.PATH },
+      stdio: ["pipe", "pipe", "pipe"]
+    });
+    const timer = setTimeout(() => {
+      error = `Timed out after ${timeoutMs}ms`;
+      child.kill("SIGKILL");
+    }, timeoutMs);
+
+    child.stdout.on("data", (chunk) => { stdout += chunk; });
+    child.stderr.on("data", (chunk) => { stderr += chunk; });
+    child.on("error", (err) => {
+      error = err.code === "ENOENT" ? `${python} not found` : describeError(err);
+    });
+    child.on("close", (exitCode) => {
+      clearTimeout(timer);
+      if (!error && exitCode !== 0) {
+        error = stderr.trim().split("\n").pop() || `${python} exited with code ${exitCode}`;
+      }
+      resolve({ lines: stdout ? stdout.replace(/\n$/, "").split("\n") : [], error });
+    });
+    child.stdin.on("error", () => {});
+    child.stdin.end(code);
+  });
+}
+
+// Runs the snippet once with the given runner and collects every printed
+// line. Resolves with { lines, error } and never rejects.
+export async function runSnippet(code, { timeoutMs = SANDBOX_DEFAULTS.timeoutMs, runner = SANDBOX_DEFAULTS.runner, python = SANDBOX_DEFAULTS.python } = {}) {
+  if (runner === "python") {
+    return runPython(code, timeoutMs, python);
+  }
+  if (runner === "typescript") {
+    try {
+      return await runInWorker(await transpileTypeScript(code), timeoutMs);
+    } catch (err) {
+      return { lines: [], error: err.message };
+    }
+  }
+  return runInWorker(code, timeoutMs);
+}
+
+// Runs the snippet several times and only accepts it when every run finishes
+// cleanly, prints something and prints exactly the same thing.
+export async function verifySnippet(code, options = {}) {
+  const runs = options.runs ?? SANDBOX_DEFAULTS.runs;
+  const results = [];
+
+  for (let i = 0; i < runs; i += 1) {
+    const result = await runSnippet(code, options);
+    if (result.error) {
+      throw new Error(`Snippet failed in sandbox: ${result.error}`);
+    }
+    if (result.lines.length === 0) {
+      throw new Error("Snippet printed nothing in sandbox.");
+    }
+    results.push(result.lines);
+  }
+
+  const [first, ...rest] = results;
+  const expected = first.join("\n");
+  if (rest.some((lines) => lines.join("\n") !== expected)) {
+    throw new Error("Snippet output differs between runs (nondeterministic).");
+  }
+
+  return { lines: first, output: expected };
+}
@@ -0,0 +1,89 @@
+export const DIFFICULTIES = ["EASY", "MEDIUM", "HARD"];
+
+// Shape of the JSON object the model must return for a reel snippet. Each
+// field: { type, required, enum?, maxLength? } and for arrays
+// { minItems?, maxItems?, items? } (the type of every entry). Unknown fields
+// are rejected.
+export const SNIPPET_SCHEMA = {
+  difficulty: { type: "string", required: true, enum: DIFFICULTIES },
+  topic: { type: "string", required: false, maxLength: 60 },
+  code: { type: "string", required: true, maxLength: 1000 },
+  highlight: { type: "string", required: false, maxLength: 20 }, // e.g. "2" or "2-3"
+  options: { type: "array", required: false, minItems: 3, maxItems: 4, items: "string" }, // quiz answers
+  hint: { type: "string", required: false, maxLength: 160 }, // carousel hint slide
+  caption: { type: "string", required: true, maxLength: 2200 }
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+export function validate(value, schema) {
+  if (typeOf(value) !== "object") {
+    return [`Expected a JSON object, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+  for (const [key, rule] of Object.entries(schema)) {
+    const field = value[key];
+    if (field === undefined) {
+      if (rule.required) errors.push(`"${key}" is required`);
+      continue;
+    }
+    if (typeOf(field) !== rule.type) {
+      errors.push(`"${key}" must be a ${rule.type}, got ${typeOf(field)}`);
+      continue;
+    }
+    if (rule.type === "string" && rule.required && field.trim() === "") {
+      errors.push(`"${key}" must not be empty`);
+    }
+    if (rule.enum && !rule.enum.includes(field)) {
+      errors.push(`"${key}" must be one of ${rule.enum.join(", ")}, got ${JSON.stringify(field)}`);
+    }
+    if (rule.maxLength && field.length > rule.maxLength) {
+      errors.push(`"${key}" must be at most ${rule.maxLength} characters, got ${field.length}`);
+    }
+    if (rule.minItems && field.length < rule.minItems) {
+      errors.push(`"${key}" must have at least ${rule.minItems} entries, got ${field.length}`);
+    }
+    if (rule.maxItems && field.length > rule.maxItems) {
+      errors.push(`"${key}" must have at most ${rule.maxItems} entries, got ${field.length}`);
+    }
+    if (rule.items && field.some((item) => typeOf(item) !== rule.items)) {
+      errors.push(`"${key}" must only contain ${rule.items}s`);
+    }
+  }
+
+  for (const key of Object.keys(value)) {
+    if (!(key in schema)) errors.push(`Unexpected field "${key}"`);
+  }
+
+  return errors;
+}
+
+// Parses a raw model response against `schema`. Markdown fences are tolerated,
+// anything else (prose, trailing commas, wrong enum values) is reported.
+// Returns { value, errors }; `value` is null unless `errors` is empty.
+export function parseModelJson(text, schema = SNIPPET_SCHEMA) {
+  const clean = text
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "")
+    .trim();
+
+  if (!clean.startsWith("{") || !clean.endsWith("}")) {
+    return { value: null, errors: ["Response must be a single JSON object with no text before or after it"] };
+  }
+
+  let value;
+  try {
+    value = JSON.parse(clean);
+  } catch (err) {
+    return { value: null, errors: [`Invalid JSON: ${err.message}`] };
+  }
+
+  const errors = validate(value, schema);
+  return { value: errors.length === 0 ? value : null, errors };
+}
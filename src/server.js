@@ -0,0 +1,282 @@
+import http from "node:http";
+import puppeteer from "puppeteer";
+import {
+  renderSnippet,
+  highlighterFor,
+  resolveFormat,
+  resolveFrameStyle,
+  annotateLines,
+  SNIPPET_DEFAULTS,
+  LAYOUT_DEFAULTS,
+  FIT_DEFAULTS
+} from "./render.js";
+
+export const SERVER_DEFAULTS = {
+  host: "127.0.0.1",
+  port: 4000,
+  pages: 2, // warm Puppeteer pages shared by all requests
+  maxQueue: 16, // requests waiting for a page before we answer 503
+  maxBodyBytes: 64 * 1024,
+  maxCodeLength: 20000,
+  timeoutMs: 30000,
+  limits: {
+    width: [200, 2400],
+    padding: [0, 400],
+    fontSize: [8, 96],
+    radius: [0, 64],
+    scale: [1, 4],
+    quality: [0, 100]
+  }
+};
+
+const CONTENT_TYPES = {
+  png: "image/png",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+  pdf: "application/pdf",
+  svg: "image/svg+xml",
+  gif: "image/gif",
+  mp4: "video/mp4"
+};
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Fixed set of open pages handed out one request at a time; callers wait in
+// a bounded queue when every page is busy. Aborting `signal` takes a waiting
+// caller out of the queue. A page whose render failed may have crashed or
+// closed, so it is swapped for a new one before anyone else gets it.
+export async function createPagePool(browser, { size, maxQueue }) {
+  const idle = await Promise.all(Array.from({ length: size }, () => browser.newPage()));
+  const waiting = [];
+
+  return {
+    size,
+    get idle() { return idle.length; },
+    get queued() { return waiting.length; },
+    acquire(signal = null) {
+      if (idle.length > 0) return Promise.resolve(idle.pop());
+      if (waiting.length >= maxQueue) {
+        return Promise.reject(httpError(503, "Render queue is full, try again later"));
+      }
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          waiting.splice(waiting.indexOf(waiter), 1);
+          reject(signal.reason);
+        };
+        const waiter = (page) => {
+          signal?.removeEventListener("abort", onAbort);
+          resolve(page);
+        };
+        signal?.addEventListener("abort", onAbort, { once: true });
+        waiting.push(waiter);
+      });
+    },
+    async release(page, { failed = false } = {}) {
+      if (failed) {
+        await page.close().catch(() => {});
+        try {
+          page = await browser.newPage();
+        } catch {
+          return; // the browser itself is gone; waiting requests time out
+        }
+      }
+      const next = waiting.shift();
+      if (next) next(page);
+      else idle.push(page);
+    }
+  };
+}
+
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    // Past the limit the rest is drained and dropped, so the 413 still reaches
+    // the client.
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(httpError(413, `Request body is over ${maxBytes} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function numberIn(value, [min, max], name, fallback) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw httpError(400, `"${name}" must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// Raw CSS values (`background`, `font`, `shadow`) are written into the page's
+// <style>, so nothing that could end the declaration or the element is let in,
+// and nothing that makes the page fetch a URL (escapes could spell either).
+function cssValue(body, name) {
+  const value = body[name];
+  if (typeof value !== "string") return {};
+  if (/[<>{};\\]/.test(value)) {
+    throw httpError(400, `"${name}" must be a single CSS value without <, >, {, }, ; or \\`);
+  }
+  if (/(?:url|image|image-set|cross-fade|src)\s*\(/i.test(value)) {
+    throw httpError(400, `"${name}" must not load a URL`);
+  }
+  return { [name]: value };
+}
+
+// Request JSON -> renderSnippet options, with every size option bounded.
+function parseRenderRequest(text, { maxCodeLength, limits }) {
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (err) {
+    throw httpError(400, `Invalid JSON: ${err.message}`);
+  }
+  if (typeof body?.code !== "string" || body.code.length === 0) {
+    throw httpError(400, "\"code\" is required");
+  }
+  if (body.code.length > maxCodeLength) {
+    throw httpError(413, `"code" is over ${maxCodeLength} characters`);
+  }
+
+  let format;
+  let frameStyle;
+  const annotations = {
+    highlight: typeof body.highlight === "string" ? body.highlight : null,
+    focus: body.focus === true,
+    diff: body.diff === true
+  };
+  try {
+    format = resolveFormat(body.format || SNIPPET_DEFAULTS.format);
+    frameStyle = resolveFrameStyle(body.frameStyle || LAYOUT_DEFAULTS.frameStyle);
+    annotateLines(body.code, annotations);
+  } catch (err) {
+    throw httpError(400, err.message);
+  }
+
+  return {
+    code: body.code,
+    lang: body.lang || SNIPPET_DEFAULTS.lang,
+    theme: body.theme || SNIPPET_DEFAULTS.theme,
+    format,
+    layout: {
+      width: numberIn(body.width, limits.width, "width", LAYOUT_DEFAULTS.width),
+      padding: numberIn(body.padding, limits.padding, "padding", LAYOUT_DEFAULTS.padding),
+      fontSize: numberIn(body.fontSize, limits.fontSize, "fontSize", LAYOUT_DEFAULTS.fontSize),
+      radius: body.radius === undefined ? LAYOUT_DEFAULTS.radius : numberIn(body.radius, limits.radius, "radius"),
+      frameStyle: frameStyle.name,
+      transparent: body.transparent === true,
+      fit: body.fit === true ? FIT_DEFAULTS : null,
+      ...(typeof body.title === "string" ? { title: body.title } : {}),
+      ...cssValue(body, "shadow"),
+      ...cssValue(body, "background"),
+      ...cssValue(body, "font")
+    },
+    annotations,
+    scale: numberIn(body.scale, limits.scale, "scale", SNIPPET_DEFAULTS.scale),
+    quality: numberIn(body.quality, limits.quality, "quality", SNIPPET_DEFAULTS.quality)
+  };
+}
+
+function sendJson(res, status, value) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(`${JSON.stringify(value)}\n`);
+}
+
+// HTTP render server: POST /render with a JSON body returns the file bytes,
+// GET /health reports the pool. One browser and its pages stay warm for the
+// life of the server.
+export async function startRenderServer(options = {}) {
+  const config = { ...SERVER_DEFAULTS, ...options, limits: { ...SERVER_DEFAULTS.limits, ...options.limits } };
+  const browser = await puppeteer.launch({ headless: "new" });
+  const pool = await createPagePool(browser, { size: config.pages, maxQueue: config.maxQueue });
+  await highlighterFor(SNIPPET_DEFAULTS.theme, SNIPPET_DEFAULTS.lang);
+
+  const startedAt = Date.now();
+  const stats = { rendered: 0, failed: 0 };
+
+  async function handleRender(req, res) {
+    const renderOptions = parseRenderRequest(await readBody(req, config.maxBodyBytes), config);
+    // The clock includes the wait for a page, so a request can't sit in the
+    // queue forever.
+    const deadline = new AbortController();
+    const timer = setTimeout(() => {
+      deadline.abort(httpError(504, `Render did not finish within ${config.timeoutMs}ms`));
+    }, config.timeoutMs);
+    const timeout = new Promise((_, reject) => {
+      deadline.signal.addEventListener("abort", () => reject(deadline.signal.reason), { once: true });
+    });
+    const render = (async () => {
+      // SVG is built from tokens and never touches a page.
+      const page = renderOptions.format === "svg" ? null : await pool.acquire(deadline.signal);
+      let failed = false;
+      try {
+        return await renderSnippet({ ...renderOptions, page });
+      } catch (err) {
+        failed = true;
+        throw err;
+      } finally {
+        if (page) pool.release(page, { failed });
+      }
+    })();
+
+    try {
+      const file = await Promise.race([render, timeout]);
+      stats.rendered += 1;
+      res.writeHead(200, { "content-type": CONTENT_TYPES[renderOptions.format], "content-length": file.length });
+      res.end(file);
+    } finally {
+      clearTimeout(timer);
+      render.catch(() => {});
+    }
+  }
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, "http://localhost");
+      if (req.method === "GET" && pathname === "/health") {
+        sendJson(res, 200, {
+          status: "ok",
+          uptime: Math.round((Date.now() - startedAt) / 1000),
+          pages: pool.size,
+          idle: pool.idle,
+          queued: pool.queued,
+          ...stats
+        });
+      } else if (req.method === "POST" && pathname === "/render") {
+        await handleRender(req, res);
+      } else {
+        throw httpError(404, `No route for ${req.method} ${pathname}`);
+      }
+    } catch (err) {
+      const status = err.status || 500;
+      if (status >= 500) stats.failed += 1;
+      if (!res.headersSent) sendJson(res, status, { error: err.message });
+      else res.end();
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(config.port, config.host, resolve);
+  });
+
+  return {
+    server,
+    url: `http://${config.host}:${server.address().port}`,
+    async close() {
+      await new Promise((resolve) => server.close(resolve));
+      await browser.close();
+    }
+  };
+}
@@ -0,0 +1,31 @@
+import fs from "node:fs/promises";
+
+// Small JSON file for things that must survive between runs (recently used
+// audio tracks, b-roll segments, ...). Callers mutate `state.data` and save.
+export async function loadState(statePath) {
+  let data = {};
+  try {
+    data = JSON.parse(await fs.readFile(statePath, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw new Error(`Failed to read state file ${statePath}: ${err.message}`);
+    }
+  }
+  return { path: statePath, data };
+}
+
+// Reels in a batch save the same state side by side. Saves run one at a time
+// per state, and each writes a temp file that is renamed into place, so the
+// file on disk is always one complete save.
+const pendingSaves = new WeakMap();
+
+export function saveState(state) {
+  const previous = pendingSaves.get(state) || Promise.resolve();
+  const save = previous.catch(() => {}).then(async () => {
+    const tempPath = `${state.path}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, `${JSON.stringify(state.data, null, 2)}\n`);
+    await fs.rename(tempPath, state.path);
+  });
+  pendingSaves.set(state, save);
+  return save;
+}
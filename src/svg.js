@@ -0,0 +1,121 @@
+// Builds a standalone SVG of the code frame from Shiki tokens
+// (highlighter.codeToTokens), so slides stay crisp at any size. Mirrors the
+// HTML frame: the frame style's chrome bar and title, then the code.
+
+const FONT_STYLE = { italic: 1, bold: 2, underline: 4 };
+
+// Same colours as the .line annotation CSS in render.js.
+const LINE_BACKGROUNDS = {
+  highlighted: "rgba(129, 140, 248, 0.18)",
+  add: "rgba(74, 222, 128, 0.14)",
+  remove: "rgba(248, 113, 113, 0.14)"
+};
+const DIFF_MARKERS = { add: ["+", "#4ade80"], remove: ["-", "#f87171"] };
+
+function escapeXml(value) {
+  return String(value)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll("\"", "&quot;")
+    .replaceAll("'", "&apos;");
+}
+
+function tokenSpan(token, fallbackColor) {
+  const attrs = [`fill="${escapeXml(token.color || fallbackColor)}"`];
+  if (token.fontStyle & FONT_STYLE.italic) attrs.push(`font-style="italic"`);
+  if (token.fontStyle & FONT_STYLE.bold) attrs.push(`font-weight="bold"`);
+  if (token.fontStyle & FONT_STYLE.underline) attrs.push(`text-decoration="underline"`);
+  return `<tspan ${attrs.join(" ")}>${escapeXml(token.content)}</tspan>`;
+}
+
+// Window controls and title for the chrome bar, laid out like the CSS in
+// render.js (dots left with a centred title, or title left with buttons).
+function chromeSvg({ style, width, chromeHeight, dotSize, title }) {
+  const inset = Math.round(chromeHeight * 0.4);
+  const middle = chromeHeight / 2;
+  const labelSize = Math.round(chromeHeight * 0.3);
+  const parts = [
+    `<rect width="${width}" height="${chromeHeight}" fill="url(#chrome)" />`,
+    `<line x1="0" x2="${width}" y1="${chromeHeight - 0.5}" y2="${chromeHeight - 0.5}" stroke="rgba(148, 163, 184, 0.16)" />`
+  ];
+
+  if (style.controls === "buttons") {
+    const glyphs = ["\u2500", "\u2610", "\u2715"];
+    const step = Math.round(chromeHeight * 0.5) + Math.round(chromeHeight * 0.35);
+    glyphs.forEach((glyph, i) => {
+      const x = width - inset - (glyphs.length - 1 - i) * step;
+      parts.push(`<text x="${x}" y="${middle}" text-anchor="end" dominant-baseline="central" fill="#94a3b8" font-size="${Math.round(chromeHeight * 0.35)}">${glyph}</text>`);
+    });
+  } else {
+    const dotGap = Math.round(dotSize * 0.8);
+    ["#f87171", "#facc15", "#4ade80"].forEach((fill, i) => {
+      parts.push(`<circle cx="${inset + dotSize / 2 + i * (dotSize + dotGap)}" cy="${middle}" r="${dotSize / 2}" fill="${fill}" />`);
+    });
+  }
+
+  if (title) {
+    const centred = style.controls !== "buttons";
+    parts.push(`<text x="${centred ? width / 2 : inset}" y="${middle}" text-anchor="${centred ? "middle" : "start"}" dominant-baseline="central" fill="#cbd5f5" font-size="${labelSize}" letter-spacing="0.02em">${escapeXml(title)}</text>`);
+  }
+
+  return parts.join("\n    ");
+}
+
+export function renderSvg({
+  tokens,
+  lines = [], // annotateLines() output: { highlighted, dimmed, diff } per line
+  width,
+  font,
+  fontSize,
+  lineHeight = 1.6, // multiple of fontSize, as in CSS
+  codePadding = 24,
+  chromeHeight = 40,
+  dotSize = 10,
+  style = { chrome: true, controls: "dots", radius: 16, frameBackground: "#0b1120" },
+  title = null,
+  radius = null,
+  color = "#e2e8f0"
+}) {
+  const chrome = style.chrome ? chromeHeight : 0;
+  const corner = radius ?? style.radius;
+  const linePx = fontSize * lineHeight;
+  const height = Math.ceil(chrome + codePadding * 2 + tokens.length * linePx);
+  // Baseline sits where the browser would put it inside the line box.
+  const baseline = (linePx - fontSize) / 2 + fontSize * 0.8;
+  const hasDiff = lines.some((line) => line.diff);
+  const backgrounds = [];
+  const text = tokens.map((tokenLine, i) => {
+    const annotation = lines[i] || {};
+    const top = chrome + codePadding + i * linePx;
+    const fill = annotation.diff ? LINE_BACKGROUNDS[annotation.diff] : annotation.highlighted ? LINE_BACKGROUNDS.highlighted : null;
+    if (fill) backgrounds.push(`<rect y="${top.toFixed(2)}" width="${width}" height="${linePx.toFixed(2)}" fill="${fill}" />`);
+    if (annotation.highlighted && !annotation.diff) backgrounds.push(`<rect y="${top.toFixed(2)}" width="4" height="${linePx.toFixed(2)}" fill="#818cf8" />`);
+
+    const prompt = i === 0 && style.prompt ? `<tspan fill="#4ade80">${escapeXml(style.prompt)} </tspan>` : "";
+    const [marker, markerColor] = DIFF_MARKERS[annotation.diff] || [" ", color];
+    const gutter = hasDiff ? `<tspan fill="${markerColor}">${marker} </tspan>` : "";
+    const opacity = annotation.dimmed ? ` opacity="0.35"` : "";
+    return `<text x="${codePadding}" y="${(top + baseline).toFixed(2)}"${opacity}>${gutter}${prompt}${tokenLine.map((token) => tokenSpan(token, color)).join("")}</text>`;
+  }).join("\n    ");
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <defs>
+    <clipPath id="frame"><rect width="${width}" height="${height}" rx="${corner}" /></clipPath>
+    <linearGradient id="chrome" x1="0" x2="1" y1="0" y2="0">
+      <stop offset="0%" stop-color="#0f172a" />
+      <stop offset="100%" stop-color="#111827" />
+    </linearGradient>
+  </defs>
+  <g clip-path="url(#frame)" font-family="${escapeXml(font)}">
+    <rect width="${width}" height="${height}" fill="${style.frameBackground}" />
+    ${style.chrome ? chromeSvg({ style, width, chromeHeight, dotSize, title }) : ""}
+    ${backgrounds.join("\n    ")}
+  </g>
+  <g font-family="${escapeXml(font)}" font-size="${fontSize}" xml:space="preserve" style="white-space: pre" clip-path="url(#frame)">
+    ${text}
+  </g>
+  <rect x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="${corner}" fill="none" stroke="rgba(148, 163, 184, 0.18)" />
+</svg>
+`;
+}
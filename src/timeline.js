@@ -0,0 +1,279 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// A timeline describes a reel as layers stacked over the background video:
+//
+//   {
+//     "duration": 7,
+//     "vars": { "levelTime": 2 },
+//     "layers": [
+//       { "id": "code", "type": "image", "source": "code", "start": 0, "fadeIn": 0.3 },
+//       { "id": "level", "type": "text", "text": "LEVEL: {{difficulty}}", "start": "$levelTime",
+//         "x": "center", "y": "@code.top-105", "fontSize": 42, "color": "#818cf8" }
+//     ]
+//   }
+//
+// Layer types:
+//   image     a rendered page layer (full-canvas PNG) named by `source`
+//   sequence  rendered frames named by `source`, played from `start`
+//   text      ffmpeg drawtext; `text` may use {{placeholders}}
+//   countdown seconds left until `end` ("style": "number") or a bar that
+//             shrinks from full to empty ("style": "bar", width, height,
+//             color, trackColor)
+// `duration` is optional; without it the reel runs for the config duration.
+// Every layer may set start, end (default: end of reel), fadeIn, fadeOut, x, y,
+// and "enabled": false to drop it (usually "enabled": "$someVar"). Text and
+// number countdown layers take a font role ("font": "heading") or a fontFile.
+// Positions are numbers, "center", an anchor like "@code.top-105" (edge of a
+// rendered page layer plus an offset) or a raw ffmpeg expression.
+// Any string value of the form "$name" is replaced by `vars.name`.
+
+export const LAYER_TYPES = ["image", "sequence", "text", "countdown"];
+export const COUNTDOWN_STYLES = ["number", "bar"];
+
+const BAR_DEFAULTS = {
+  width: 720,
+  height: 14,
+  color: "#818cf8",
+  trackColor: "white@0.25"
+};
+
+const TEXT_DEFAULTS = {
+  font: "heading", // a role from src/fonts.js; `fontFile` overrides it
+  fontSize: 42,
+  color: "white",
+  borderWidth: 0,
+  borderColor: "black",
+  box: false,
+  boxColor: "black@0.6",
+  boxPadding: 20
+};
+
+export async function loadTimeline(timelinePath) {
+  let timeline;
+  try {
+    timeline = JSON.parse(await fs.readFile(timelinePath, "utf8"));
+  } catch (err) {
+    throw new Error(`Failed to load timeline ${timelinePath}: ${err.message}`);
+  }
+
+  if (!Array.isArray(timeline.layers) || timeline.layers.length === 0) {
+    throw new Error(`Timeline ${timelinePath} has no layers`);
+  }
+  timeline.layers.forEach((layer, i) => {
+    if (!LAYER_TYPES.includes(layer.type)) {
+      throw new Error(`Timeline ${timelinePath}: layer ${layer.id || i} has unknown type "${layer.type}"`);
+    }
+    if ((layer.type === "image" || layer.type === "sequence") && !layer.source) {
+      throw new Error(`Timeline ${timelinePath}: layer ${layer.id || i} needs a "source"`);
+    }
+    if (layer.type === "text" && typeof layer.text !== "string") {
+      throw new Error(`Timeline ${timelinePath}: layer ${layer.id || i} needs a "text"`);
+    }
+    if (layer.type === "countdown" && !COUNTDOWN_STYLES.includes(layer.style)) {
+      throw new Error(`Timeline ${timelinePath}: layer ${layer.id || i} needs a "style" of ${COUNTDOWN_STYLES.join(" or ")}`);
+    }
+  });
+
+  return { name: path.basename(timelinePath), ...timeline };
+}
+
+function substitute(value, vars) {
+  if (typeof value === "string" && /^\$\w+$/.test(value)) {
+    const name = value.slice(1);
+    if (!(name in vars)) throw new Error(`Timeline variable "${name}" is not defined`);
+    return vars[name];
+  }
+  if (Array.isArray(value)) return value.map((item) => substitute(item, vars));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item, vars)]));
+  }
+  return value;
+}
+
+// Applies `vars` (timeline defaults overridden by the caller's) and fills in
+// start/end so the rest of the pipeline sees plain numbers.
+export function resolveTimeline(timeline, vars = {}, duration = timeline.duration) {
+  const allVars = { ...timeline.vars, ...vars };
+  const total = timeline.duration ?? duration;
+  const layers = timeline.layers.flatMap((layer, i) => {
+    const resolved = substitute(layer, allVars);
+    if (resolved.enabled === false) return [];
+    const start = Number(resolved.start ?? 0);
+    const end = Number(resolved.end ?? total);
+    if (!(start >= 0 && end > start && end <= total)) {
+      throw new Error(`Timeline ${timeline.name}: layer ${layer.id || i} must satisfy 0 <= start < end <= ${total}`);
+    }
+    return [{ id: layer.id || `layer${i}`, ...resolved, start, end }];
+  });
+
+  return { ...timeline, duration: total, vars: allVars, layers };
+}
+
+export function fillTemplate(text, values) {
+  return text.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+function quote(value) {
+  return `'${String(value).replaceAll("'", "'\\''")}'`;
+}
+
+function resolvePosition(value, axis, anchors, kind) {
+  if (value === undefined || value === null) return kind === "text" && axis === "x" ? resolvePosition("center", axis, anchors, kind) : "0";
+  if (typeof value === "number") return String(value);
+  if (value === "center") {
+    if (kind === "text") return axis === "x" ? "(w-text_w)/2" : "(h-text_h)/2";
+    return axis === "x" ? "(W-w)/2" : "(H-h)/2";
+  }
+
+  const anchor = /^@(\w+)\.(top|bottom|left|right|centerX|centerY)([+-]\d+(?:\.\d+)?)?$/.exec(value);
+  if (anchor) {
+    const [, name, edge, offset] = anchor;
+    if (!anchors[name]) throw new Error(`Timeline anchor "${name}" was not rendered`);
+    return String(Math.round(anchors[name][edge] + Number(offset || 0)));
+  }
+
+  return value;
+}
+
+function fadeFilters({ start, end, fadeIn = 0, fadeOut = 0 }) {
+  const filters = [];
+  if (fadeIn > 0) filters.push(`fade=t=in:st=${start}:d=${fadeIn}:alpha=1`);
+  if (fadeOut > 0) filters.push(`fade=t=out:st=${end - fadeOut}:d=${fadeOut}:alpha=1`);
+  return filters;
+}
+
+function alphaExpression({ start, end, fadeIn = 0, fadeOut = 0 }) {
+  let expr = "1";
+  if (fadeOut > 0) expr = `if(gt(t,${end - fadeOut}),(${end}-t)/${fadeOut},${expr})`;
+  if (fadeIn > 0) expr = `if(lt(t,${start + fadeIn}),(t-${start})/${fadeIn},${expr})`;
+  return expr;
+}
+
+function drawtext(layer, textFile, anchors, fonts) {
+  const options = { ...TEXT_DEFAULTS, ...layer };
+  const fontFile = options.fontFile || fonts[options.font];
+  if (!fontFile) {
+    throw new Error(`Timeline layer "${layer.id}" uses font "${options.font}", which is not registered`);
+  }
+  const parts = [
+    `textfile=${quote(textFile)}`,
+    `expansion=${options.expansion || "none"}`,
+    `fontfile=${quote(fontFile)}`,
+    `fontsize=${options.fontSize}`,
+    `fontcolor=${options.color}`,
+    `x=${quote(resolvePosition(options.x, "x", anchors, "text"))}`,
+    `y=${quote(resolvePosition(options.y, "y", anchors, "text"))}`
+  ];
+  if (options.borderWidth > 0) {
+    parts.push(`borderw=${options.borderWidth}`, `bordercolor=${options.borderColor}`);
+  }
+  if (options.box) {
+    parts.push("box=1", `boxcolor=${options.boxColor}`, `boxborderw=${options.boxPadding}`);
+  }
+  parts.push(
+    `enable='between(t,${layer.start},${layer.end})'`,
+    `alpha='${alphaExpression(layer)}'`
+  );
+  return `drawtext=${parts.join(":")}`;
+}
+
+// Parses "a=1,b=#fff,c=true" (the --vars flag) into timeline variables.
+export function parseVars(text) {
+  if (!text || text === true) return {};
+  return Object.fromEntries(String(text).split(",").filter(Boolean).map((pair) => {
+    const [key, ...rest] = pair.split("=");
+    const raw = rest.join("=").trim();
+    let value = raw;
+    if (raw === "true" || raw === "false") value = raw === "true";
+    else if (raw !== "" && Number.isFinite(Number(raw))) value = Number(raw);
+    return [key.trim(), value];
+  }));
+}
+
+// A bar the size of the layer that empties from the right: the fill slides
+// left inside a transparent track of the same size, which clips it.
+function countdownBar(layer, base, output, anchors) {
+  const options = { ...BAR_DEFAULTS, ...layer };
+  const size = `${options.width}x${options.height}`;
+  const span = layer.end - layer.start;
+  const x = resolvePosition(layer.x ?? "center", "x", anchors, "image");
+  const y = resolvePosition(layer.y, "y", anchors, "image");
+  return [
+    `color=c=${options.trackColor}:s=${size}:r=30:d=${layer.end},format=rgba[${output}_track]`,
+    `color=c=${options.color}:s=${size}:r=30:d=${layer.end},format=rgba[${output}_fill]`,
+    `[${output}_track][${output}_fill]overlay=x='-${options.width}*clip((t-${layer.start})/${span},0,1)':y=0${fadeFilters(layer).map((fade) => `,${fade}`).join("")}[${output}_bar]`,
+    `[${base}][${output}_bar]overlay=x=${quote(x)}:y=${quote(y)}:eof_action=pass:enable='between(t,${layer.start},${layer.end})'[${output}]`
+  ];
+}
+
+// Turns a resolved timeline into ffmpeg inputs and a filter graph drawn over
+// `baseLabel`. `sources` maps image sources to PNG paths and sequence sources
+// to { pattern, fps }; `anchors` maps page layers to their measured boxes;
+// `fonts` maps font roles to files (loadFonts().files).
+// Text layers are written to `textDir` and read back by drawtext, which
+// sidesteps filtergraph escaping entirely.
+export function compileTimeline(timeline, {
+  sources,
+  anchors = {},
+  fonts = {},
+  values = {},
+  textDir,
+  width = 1080,
+  height = 1920,
+  baseLabel = "0:v",
+  firstInput = 1
+}) {
+  const stem = path.basename(timeline.name || "timeline", ".json");
+  const inputs = [];
+  const textFiles = [];
+  const filters = [];
+  let base = baseLabel;
+
+  timeline.layers.forEach((layer, i) => {
+    const output = `tl${i}`;
+
+    if (layer.type === "countdown" && layer.style === "bar") {
+      filters.push(...countdownBar(layer, base, output, anchors));
+      base = output;
+      return;
+    }
+
+    if (layer.type === "text" || layer.type === "countdown") {
+      const textFile = path.join(textDir, `${stem}_${layer.id}.txt`);
+      const content = layer.type === "text"
+        ? fillTemplate(layer.text, values)
+        : `%{eif:ceil(${layer.end}-t):d}`;
+      const expansion = layer.type === "text" ? layer.expansion : "normal";
+      textFiles.push({ path: textFile, content });
+      filters.push(`[${base}]${drawtext({ ...layer, expansion }, textFile, anchors, fonts)}[${output}]`);
+      base = output;
+      return;
+    }
+
+    const source = sources[layer.source];
+    if (!source) {
+      throw new Error(`Timeline layer "${layer.id}" needs source "${layer.source}", which was not rendered`);
+    }
+
+    const index = firstInput + inputs.length;
+    const chain = [`scale=${width}:${height}`, "format=rgba"];
+    if (layer.type === "image") {
+      inputs.push({ path: source, options: ["-loop 1", `-t ${timeline.duration}`] });
+    } else {
+      inputs.push({ path: source.pattern, options: [`-framerate ${source.fps}`] });
+      chain.push(`setpts=PTS-STARTPTS+${layer.start}/TB`);
+    }
+    chain.push(...fadeFilters(layer));
+
+    const x = resolvePosition(layer.x, "x", anchors, "image");
+    const y = resolvePosition(layer.y, "y", anchors, "image");
+    filters.push(
+      `[${index}:v]${chain.join(",")}[${output}_src]`,
+      `[${base}][${output}_src]overlay=x=${quote(x)}:y=${quote(y)}:eof_action=pass:enable='between(t,${layer.start},${layer.end})'[${output}]`
+    );
+    base = output;
+  });
+
+  return { inputs, filters, textFiles, output: base };
+}